@@ -0,0 +1,78 @@
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Local stand-in that prints emails to the console instead of sending them
+const consoleTransport = {
+  sendMail: async (message) => {
+    console.log("---- Outgoing email (console transport) ----");
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log("--------------------------------------------");
+    return { messageId: `console-${Date.now()}` };
+  },
+};
+
+const REQUIRED_SMTP_SETTINGS = ["SMTP_HOST", "SMTP_USER", "SMTP_PASS"];
+
+// Verification and invitation links must really be sent in production, so
+// a missing SMTP setup stops the server at startup instead of falling back
+// to the console
+if (process.env.NODE_ENV === "production") {
+  const missing = REQUIRED_SMTP_SETTINGS.filter((name) => !process.env[name]);
+  if (process.env.MAIL_TRANSPORT !== "smtp" || missing.length > 0) {
+    throw new Error(
+      `Production requires MAIL_TRANSPORT=smtp and ${REQUIRED_SMTP_SETTINGS.join(
+        ", "
+      )}${missing.length > 0 ? ` (missing: ${missing.join(", ")})` : ""}`
+    );
+  }
+}
+
+let transport = null;
+
+// Pick the transport from MAIL_TRANSPORT ("smtp" or "console", the default)
+function createTransport() {
+  const kind = process.env.MAIL_TRANSPORT || "console";
+
+  if (kind === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  }
+
+  if (kind !== "console") {
+    throw new Error(`Unknown MAIL_TRANSPORT "${kind}"`);
+  }
+
+  return consoleTransport;
+}
+
+// Replace the mail transport (any object with a sendMail(message) method)
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || "no-reply@iqnaut.com",
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+}
+
+export default sendMail;
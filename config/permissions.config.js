@@ -0,0 +1,91 @@
+// Every resource/action pair a role can be granted. Routes check these with
+// requirePermission(resource, action).
+export const PERMISSION_ACTIONS = ["view", "create", "edit", "delete"];
+
+export const PERMISSION_CATALOG = {
+  courses: {
+    label: "Courses",
+    actions: PERMISSION_ACTIONS,
+  },
+  batches: {
+    label: "Batches",
+    actions: PERMISSION_ACTIONS,
+  },
+  attendance: {
+    label: "Attendance",
+    actions: PERMISSION_ACTIONS,
+  },
+  assignments: {
+    label: "Assignments",
+    actions: PERMISSION_ACTIONS,
+  },
+  payments: {
+    label: "Payments",
+    actions: PERMISSION_ACTIONS,
+  },
+  enrollments: {
+    label: "Enrollments",
+    actions: PERMISSION_ACTIONS,
+  },
+  users: {
+    label: "Users",
+    actions: PERMISSION_ACTIONS,
+  },
+  roles: {
+    label: "Roles",
+    actions: PERMISSION_ACTIONS,
+  },
+  apiKeys: {
+    label: "API Keys",
+    actions: PERMISSION_ACTIONS,
+  },
+};
+
+export const isKnownPermission = (resource, action) =>
+  Boolean(PERMISSION_CATALOG[resource]?.actions.includes(action));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Check a role's permissions payload against the catalog.
+// Returns a list of error messages, empty when the payload is valid.
+export function validatePermissions(permissions) {
+  if (!isPlainObject(permissions)) {
+    return [
+      "permissions must be an object of { resource: { action: boolean } }",
+    ];
+  }
+
+  const errors = [];
+
+  Object.entries(permissions).forEach(([resource, actions]) => {
+    const entry = PERMISSION_CATALOG[resource];
+    if (!entry) {
+      errors.push(
+        `Unknown resource "${resource}". Known resources: ${Object.keys(
+          PERMISSION_CATALOG
+        ).join(", ")}`
+      );
+      return;
+    }
+
+    if (!isPlainObject(actions)) {
+      errors.push(`permissions.${resource} must be an object of actions`);
+      return;
+    }
+
+    Object.entries(actions).forEach(([action, value]) => {
+      if (!entry.actions.includes(action)) {
+        errors.push(
+          `Unknown action "${resource}.${action}". Known actions: ${entry.actions.join(
+            ", "
+          )}`
+        );
+      } else if (typeof value !== "boolean") {
+        errors.push(`permissions.${resource}.${action} must be true or false`);
+      }
+    });
+  });
+
+  return errors;
+}
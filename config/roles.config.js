@@ -0,0 +1,41 @@
+import admin from "./firebase.config.js";
+
+let cachedRoles = null;
+let lastFetchTime = 0;
+const CACHE_DURATION = 60 * 1000; // 1 minute in milliseconds
+
+// Get the role_permissions/roles document, cached for a short time
+export async function getRolesConfig() {
+  const currentTime = Date.now();
+
+  // Return cached roles if they're still valid
+  if (cachedRoles && currentTime - lastFetchTime < CACHE_DURATION) {
+    return cachedRoles;
+  }
+
+  try {
+    const rolesDoc = await admin
+      .firestore()
+      .collection("role_permissions")
+      .doc("roles")
+      .get();
+
+    if (!rolesDoc.exists) {
+      throw new Error("Roles document not found in Firebase");
+    }
+
+    cachedRoles = rolesDoc.data();
+    lastFetchTime = currentTime;
+
+    return cachedRoles;
+  } catch (error) {
+    console.error("Error fetching roles configuration:", error);
+    throw error;
+  }
+}
+
+// Drop the cached roles so the next lookup reads Firestore again
+export function clearRolesCache() {
+  cachedRoles = null;
+  lastFetchTime = 0;
+}
@@ -0,0 +1,57 @@
+import admin from "./firebase.config.js";
+
+let cachedOrganizations = null;
+let lastFetchTime = 0;
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// Per-organization OIDC settings from app_config/sso, shaped like:
+// {
+//   organizations: {
+//     acme: {
+//       name: "Acme Corp",
+//       enabled: true,
+//       issuer: "https://login.acme.com",
+//       clientId: "...",
+//       clientSecret: "...",
+//       scopes: "openid email profile groups",
+//       emailDomains: ["acme.com"], // required
+//       groupsClaim: "groups",
+//       roleMapping: [
+//         { group: "portal-trainers", role: "Trainer" },
+//         { group: "staff", role: "Trainee" },
+//       ],
+//       defaultRole: "Trainee",
+//       allowSignup: true,
+//     },
+//   },
+// }
+export async function getSsoOrganization(orgId) {
+  const currentTime = Date.now();
+
+  if (!cachedOrganizations || currentTime - lastFetchTime >= CACHE_DURATION) {
+    try {
+      const configDoc = await admin
+        .firestore()
+        .collection("app_config")
+        .doc("sso")
+        .get();
+
+      cachedOrganizations = configDoc.exists
+        ? configDoc.data().organizations || {}
+        : {};
+      lastFetchTime = currentTime;
+    } catch (error) {
+      console.error("Error fetching SSO configuration:", error);
+      throw error;
+    }
+  }
+
+  const organization = cachedOrganizations[orgId];
+  return organization && organization.enabled !== false ? organization : null;
+}
+
+// Drop the cached configuration so the next lookup reads Firestore again
+export function clearSsoCache() {
+  cachedOrganizations = null;
+  lastFetchTime = 0;
+}
@@ -2,6 +2,7 @@ import Razorpay from "razorpay";
 import crypto from "crypto";
 import admin from "../config/firebase.config.js";
 import { getRazorpayConfig } from "../config/razorpay.config.js";
+import { hasPermission } from "../middlewares/permission.middleware.js";
 
 let razorpay = null;
 
@@ -30,6 +31,38 @@ export const createOrder = async (req, res) => {
       });
     }
 
+    // A paid order enrolls its user, so only payment staff may order for
+    // someone else
+    if (
+      userId &&
+      userId !== req.user.uid &&
+      !(await hasPermission(req.user, "payments", "create"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only create orders for yourself",
+      });
+    }
+    const orderUserId = userId || req.user.uid;
+
+    // Everyone but payment staff must verify their email before paying,
+    // whatever their role is called and whether they signed up themselves
+    // or were created by an admin. API keys have no email to verify.
+    if (
+      !req.user.email_verified &&
+      !req.user.apiKeyId &&
+      !(await hasPermission(req.user, "payments", "create"))
+    ) {
+      // The token may predate verification, so check the Auth record too
+      const userRecord = await admin.auth().getUser(req.user.uid);
+      if (!userRecord.emailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address before enrolling",
+        });
+      }
+    }
+
     // Get course details from Firestore to get the actual price
     const courseDoc = await admin
       .firestore()
@@ -65,7 +98,7 @@ export const createOrder = async (req, res) => {
       notes: {
         courseId: courseId,
         batchId: batchId,
-        userId: userId || "guest",
+        userId: orderUserId,
       },
     };
 
@@ -80,7 +113,7 @@ export const createOrder = async (req, res) => {
         orderId: order.id,
         courseId: courseId,
         batchId: batchId,
-        userId: userId || "guest",
+        userId: orderUserId,
         userName: name || "",
         userEmail: email || "",
         amount: amount,
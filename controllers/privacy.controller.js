@@ -0,0 +1,232 @@
+import admin from "../config/firebase.config.js";
+import {
+  getUserBatchIds,
+  getAttendanceForBatches,
+  propagateUserIdentity,
+} from "../utils/userReferences.js";
+import { setTraineeArchived } from "../utils/trainees.js";
+import { buildSearchKeys } from "../utils/userSearch.js";
+
+// Convert Firestore Timestamps to ISO strings so the export is plain JSON
+const toPlainData = (value) => {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainData);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlainData(item)])
+    );
+  }
+  return value;
+};
+
+// Export everything we store about the calling user as one JSON bundle
+export const exportMyData = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const db = admin.firestore();
+
+    const userDoc = await db.collection("user_manage").doc(userId).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "User profile not found",
+      });
+    }
+
+    const enrollmentsSnapshot = await db
+      .collection("enrollments")
+      .where("userId", "==", userId)
+      .get();
+
+    const ordersSnapshot = await db
+      .collection("payment_orders")
+      .where("userId", "==", userId)
+      .get();
+
+    // Attendance records for the user's batches, narrowed to their entry
+    const batchIds = await getUserBatchIds(userId);
+    const attendanceDocs = await getAttendanceForBatches(batchIds);
+    const attendance = [];
+    attendanceDocs.forEach((doc) => {
+      const data = doc.data();
+      const entry = (data.studentDetails || []).find(
+        (student) => student.studentId === userId
+      );
+      if (entry) {
+        attendance.push({
+          recordId: doc.id,
+          courseId: data.courseId,
+          courseName: data.courseName,
+          batchId: data.batchId,
+          status: entry.status,
+          createdAt: data.createdAt,
+        });
+      }
+    });
+
+    // Assignment submissions
+    const assignmentsSnapshot = await db.collection("assignments").get();
+    const submissions = [];
+    assignmentsSnapshot.forEach((doc) => {
+      const documentData = doc.data();
+      Object.keys(documentData)
+        .filter(
+          (key) =>
+            key !== "createdAt" && key !== "updatedAt" && key !== "batchId"
+        )
+        .forEach((field) => {
+          const assignment = documentData[field];
+          const submission = (assignment?.submissions || []).find(
+            (sub) => sub.traineeId === userId
+          );
+          if (submission) {
+            submissions.push({
+              documentId: doc.id,
+              assignmentName: field,
+              courseId: assignment.courseId,
+              courseName: assignment.courseName,
+              totalMarks: assignment.totalMarks,
+              ...submission,
+            });
+          }
+        });
+    });
+
+    // Course testimonials
+    const coursesSnapshot = await db.collection("courses").get();
+    const testimonials = [];
+    coursesSnapshot.forEach((doc) => {
+      (doc.data().testimonials || [])
+        .filter((testimonial) => testimonial.userId === userId)
+        .forEach((testimonial) =>
+          testimonials.push({
+            courseId: doc.id,
+            courseTitle: doc.data().title,
+            ...testimonial,
+          })
+        );
+    });
+
+    const bundle = toPlainData({
+      exportedAt: new Date(),
+      userId,
+      profile: userDoc.data(),
+      enrollments: enrollmentsSnapshot.docs.map((doc) => ({
+        enrollmentId: doc.id,
+        ...doc.data(),
+      })),
+      paymentOrders: ordersSnapshot.docs.map((doc) => ({
+        orderId: doc.id,
+        ...doc.data(),
+      })),
+      attendance,
+      assignmentSubmissions: submissions,
+      testimonials,
+    });
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="data-export-${userId}.json"`
+    );
+    res.status(200).json(bundle);
+  } catch (error) {
+    console.error("Error exporting user data:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export user data",
+      error: error.message,
+    });
+  }
+};
+
+// Anonymize a user: replace their name and email in every copy and remove
+// the Auth account, while scores, attendance counts and payments stay put
+export const anonymizeUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { confirm } = req.body;
+
+    if (confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        message: "Anonymization is irreversible, send confirm: true to proceed",
+      });
+    }
+
+    const userRef = admin.firestore().collection("user_manage").doc(userId);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (userDoc.data().anonymized) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already anonymized",
+      });
+    }
+
+    const anonymizedName = "Deleted User";
+    const anonymizedEmail = `deleted-${userId}@anonymized.invalid`;
+
+    const updated = await propagateUserIdentity(userId, {
+      name: anonymizedName,
+      email: anonymizedEmail,
+    });
+
+    // Keep course stats on the profile, drop everything personal
+    const { courses, enrolledCourseIds, role, createdAt } = userDoc.data();
+    await userRef.set({
+      uid: userId,
+      fullName: anonymizedName,
+      email: anonymizedEmail,
+      searchKeys: buildSearchKeys({
+        fullName: anonymizedName,
+        email: anonymizedEmail,
+      }),
+      role: role || "Trainee",
+      ...(courses && { courses }),
+      ...(enrolledCourseIds && { enrolledCourseIds }),
+      ...(createdAt && { createdAt }),
+      archived: true,
+      anonymized: true,
+      anonymizedAt: admin.firestore.FieldValue.serverTimestamp(),
+      anonymizedBy: req.user.email || req.user.uid,
+    });
+
+    await setTraineeArchived(userId, true);
+
+    try {
+      await admin.auth().deleteUser(userId);
+    } catch (error) {
+      if (error.code !== "auth/user-not-found") throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User anonymized successfully",
+      data: {
+        userId,
+        updated,
+      },
+    });
+  } catch (error) {
+    console.error("Error anonymizing user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to anonymize user",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,21 @@
 import cloudinary from "../config/cloudinary.config.js";
 import fs from "fs";
 
+// Upload a temporary file to Cloudinary and remove it from disk
+export const uploadFileToCloudinary = async (filePath, folder = "uploads") => {
+  try {
+    return await cloudinary.uploader.upload(filePath, {
+      folder,
+      resource_type: "auto", // Automatically detect the file type
+    });
+  } finally {
+    // Remove the temporary file
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
 const uploadController = {
   uploadImage: async (req, res) => {
     try {
@@ -15,16 +30,10 @@ const uploadController = {
       console.log("Attempting to upload to Cloudinary...");
 
       // Upload the image to Cloudinary
-      const result = await cloudinary.uploader.upload(req.file.path, {
-        folder: "uploads",
-        resource_type: "auto", // Automatically detect the file type
-      });
+      const result = await uploadFileToCloudinary(req.file.path);
 
       console.log("Cloudinary upload result:", result);
 
-      // Remove the temporary file
-      fs.unlinkSync(req.file.path);
-
       res.status(200).json({
         message: "Upload successful",
         imageUrl: result.secure_url,
@@ -33,11 +42,6 @@ const uploadController = {
     } catch (error) {
       console.error("Cloudinary upload error:", error);
 
-      // Clean up the file if it exists
-      if (req.file && req.file.path) {
-        fs.unlinkSync(req.file.path);
-      }
-
       res.status(500).json({
         message: "Upload failed",
         error: error.message,
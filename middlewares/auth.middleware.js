@@ -1,18 +1,126 @@
 import admin from "../config/firebase.config.js";
+import { verifyApiKey, recordApiKeyUsage } from "../utils/apiKeys.js";
+import { isSessionRevoked } from "../utils/sessions.js";
+
+// Revocation checks cost an extra Auth lookup per request, allow opting out
+const checkRevoked = process.env.AUTH_CHECK_REVOKED !== "false";
+
+// Impersonation is "view as user" only
+const IMPERSONATION_ALLOWED_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const recordImpersonatedRequest = async (req, blocked) => {
+  try {
+    await admin
+      .firestore()
+      .collection("impersonation_audit")
+      .add({
+        type: "request",
+        impersonatorUid: req.impersonator.uid,
+        impersonatorEmail: req.impersonator.email || null,
+        targetUid: req.user.uid,
+        method: req.method,
+        path: req.originalUrl,
+        blocked,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+  } catch (error) {
+    console.error("Error recording impersonated request:", error);
+  }
+};
+
+// Server-to-server callers send an API key instead of an ID token.
+// Keys have no user behind them; requirePermission checks the key's scopes.
+// Only routes that opt in with allowApiKey accept them.
+const authenticateApiKey = async (req, res, next) => {
+  const { key, error } = await verifyApiKey(req.get("x-api-key"), req.ip);
+  if (error) {
+    return res.status(401).json({ error });
+  }
+
+  req.apiKey = {
+    id: key.id,
+    name: key.name,
+    permissions: key.permissions || {},
+  };
+  req.user = {
+    uid: `apikey:${key.id}`,
+    apiKeyId: key.id,
+    name: key.name,
+    globalAccess: key.globalAccess === true,
+  };
+
+  await recordApiKeyUsage(key.id, req.ip);
+  next();
+};
 
 const authenticateUser = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split("Bearer ")[1];
+    if (!token && req.get("x-api-key")) {
+      if (!req.allowApiKey) {
+        return res
+          .status(401)
+          .json({ error: "API keys are not accepted for this endpoint" });
+      }
+      return await authenticateApiKey(req, res, next);
+    }
+
     if (!token) {
       return res.status(401).json({ error: "No token provided" });
     }
 
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    const decodedToken = await admin.auth().verifyIdToken(token, checkRevoked);
+
+    // Sessions ended from the session management endpoints
+    if (await isSessionRevoked(decodedToken.uid, decodedToken.auth_time)) {
+      return res.status(401).json({ error: "Session has been revoked" });
+    }
+
     req.user = decodedToken;
+
+    // Tokens minted by /api/auth/users/:userId/impersonate carry the admin
+    if (decodedToken.impersonatedBy) {
+      if (Date.now() / 1000 > decodedToken.impersonationExpiresAt) {
+        return res.status(401).json({ error: "Impersonation has expired" });
+      }
+
+      req.impersonator = {
+        uid: decodedToken.impersonatedBy,
+        email: decodedToken.impersonatedByEmail,
+      };
+
+      const blocked = !IMPERSONATION_ALLOWED_METHODS.includes(req.method);
+      await recordImpersonatedRequest(req, blocked);
+
+      if (blocked) {
+        return res
+          .status(403)
+          .json({ error: "Action not allowed while impersonating a user" });
+      }
+    }
+
     next();
   } catch (error) {
+    if (error.code === "auth/id-token-revoked") {
+      return res.status(401).json({ error: "Token has been revoked" });
+    }
+    if (error.code === "auth/user-disabled") {
+      return res.status(401).json({ error: "User account is disabled" });
+    }
     res.status(401).json({ error: "Invalid token" });
   }
 };
 
+// For routes open to everyone that show signed-in callers more. Requests
+// without a bearer token continue anonymously; invalid tokens still fail.
+export const optionalAuthenticateUser = (req, res, next) =>
+  req.headers.authorization ? authenticateUser(req, res, next) : next();
+
+// Opt a route in to API key callers. Put it before authenticateUser, and
+// only on routes that also use requirePermission, which checks key scopes.
+export const allowApiKey = (req, res, next) => {
+  req.allowApiKey = true;
+  next();
+};
+
 export default authenticateUser;
@@ -0,0 +1,180 @@
+import admin from "../config/firebase.config.js";
+import { getRolesConfig } from "../config/roles.config.js";
+import {
+  resolveEffectivePermissions,
+  isPrivilegedRole,
+} from "../utils/roleInheritance.js";
+import { getRenamedRole } from "../utils/rolePropagation.js";
+import { isKnownPermission } from "../config/permissions.config.js";
+
+// Resolve the caller's role from the custom claim, falling back to
+// user_manage. ID tokens keep the old claim for up to an hour after a role
+// is renamed or deleted, so a claim naming a missing role isn't trusted,
+// and a renamed role resolves to its new name while its users are moved.
+export const resolveUserRole = async (user) => {
+  const roles = await getRolesConfig();
+  if (user.role && roles[user.role]) {
+    return user.role;
+  }
+
+  const userDoc = await admin
+    .firestore()
+    .collection("user_manage")
+    .doc(user.uid)
+    .get();
+
+  const roleName = (userDoc.exists && userDoc.data().role) || user.role;
+  if (!roleName || roles[roleName]) {
+    return roleName || null;
+  }
+
+  return (await getRenamedRole(roleName)) || roleName;
+};
+
+// Whether a signed-in user's role grants a resource/action pair, for routes
+// that change what they return rather than refusing the caller
+export const hasPermission = async (user, resource, action) => {
+  if (!user || user.apiKeyId) return false;
+
+  const roleName = await resolveUserRole(user);
+  const roles = await getRolesConfig();
+  if (!roles[roleName] || roles[roleName].active === false) return false;
+  if (roleName === "Admin") return true;
+
+  return (
+    resolveEffectivePermissions(roles, roleName).permissions[resource]?.[
+      action
+    ] === true
+  );
+};
+
+// "resource.action" entries granted in permissions but not in held
+const permissionsBeyond = (permissions, held) =>
+  Object.entries(permissions).flatMap(([resource, actions]) =>
+    Object.entries(actions || {})
+      .filter(
+        ([action, granted]) =>
+          granted === true && held?.[resource]?.[action] !== true
+      )
+      .map(([action]) => `${resource}.${action}`)
+  );
+
+// Whether the caller may give a user roleName. The role must exist and be
+// active. Admins may assign any role; everyone else only roles that grant
+// nothing beyond their own permissions, and never Admin. API keys are also
+// kept from assigning privileged roles (see isPrivilegedRole).
+// Returns null when allowed, otherwise { status, error, permissions? }.
+export const checkRoleGrant = async (req, roleName) => {
+  const roles = await getRolesConfig();
+  const role = typeof roleName === "string" ? roles[roleName] : null;
+  if (!role || role.active === false) {
+    return { status: 400, error: `Role "${roleName}" not found or inactive` };
+  }
+
+  let held;
+  let heldGlobalAccess;
+  if (req.apiKey) {
+    if (isPrivilegedRole(roles, roleName)) {
+      return {
+        status: 403,
+        error: `API keys can't assign the administrative role "${roleName}"`,
+      };
+    }
+    held = req.apiKey.permissions;
+    heldGlobalAccess = req.user.globalAccess === true;
+  } else {
+    const callerRole = await resolveUserRole(req.user);
+    if (callerRole === "Admin") return null;
+    if (roleName === "Admin") {
+      return { status: 403, error: "Only admins can assign the Admin role" };
+    }
+    held = roles[callerRole]
+      ? resolveEffectivePermissions(roles, callerRole).permissions
+      : {};
+    heldGlobalAccess = roles[callerRole]?.globalAccess === true;
+  }
+
+  const beyond = permissionsBeyond(
+    resolveEffectivePermissions(roles, roleName).permissions,
+    held
+  );
+  if (role.globalAccess === true && !heldGlobalAccess) {
+    beyond.push("globalAccess");
+  }
+  if (beyond.length > 0) {
+    return {
+      status: 403,
+      error: `Role "${roleName}" has permissions you don't have`,
+      permissions: beyond,
+    };
+  }
+
+  return null;
+};
+
+// Check the caller's role permissions for a resource/action pair.
+// Must be used after authenticateUser.
+const requirePermission = (resource, action) => {
+  // Fail at startup rather than silently denying everyone
+  if (!isKnownPermission(resource, action)) {
+    throw new Error(`Unknown permission "${resource}.${action}"`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      // API keys carry their own permission scopes and no role
+      if (req.apiKey) {
+        req.permissions = req.apiKey.permissions;
+        if (req.permissions[resource]?.[action] === true) {
+          return next();
+        }
+        return res.status(403).json({
+          error: "API key is not allowed to perform this action",
+          required: `${resource}.${action}`,
+        });
+      }
+
+      const roleName = await resolveUserRole(req.user);
+      if (!roleName) {
+        return res.status(403).json({ error: "No role assigned to user" });
+      }
+
+      const roles = await getRolesConfig();
+      const role = roles[roleName];
+
+      if (!role) {
+        return res.status(403).json({ error: `Role "${roleName}" not found` });
+      }
+
+      if (role.active === false) {
+        return res
+          .status(403)
+          .json({ error: `Role "${roleName}" is inactive` });
+      }
+
+      req.userRole = roleName;
+      req.permissions = resolveEffectivePermissions(
+        roles,
+        roleName
+      ).permissions;
+
+      // Admin always has full access so it can't be locked out of role management
+      if (
+        roleName === "Admin" ||
+        req.permissions[resource]?.[action] === true
+      ) {
+        return next();
+      }
+
+      res.status(403).json({
+        error: "Insufficient permissions",
+        required: `${resource}.${action}`,
+      });
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
+};
+
+export default requirePermission;
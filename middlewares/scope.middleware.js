@@ -0,0 +1,81 @@
+import { getRolesConfig } from "../config/roles.config.js";
+import { resolveUserRole } from "./permission.middleware.js";
+import {
+  getTrainerAssignments,
+  getEnrolledBatchIds,
+  isAssignedTo,
+  isEnrolledInBatch,
+} from "../utils/trainerScope.js";
+
+// Admins and roles flagged with globalAccess aren't limited to assignments.
+// API keys only are when they were issued with globalAccess. Roles without
+// the flag are scoped; POST /api/roles/migrations/global-access flags the
+// roles that predate batch scoping.
+export const hasGlobalAccess = async (user) => {
+  if (user.apiKeyId) return user.globalAccess === true;
+
+  const roleName = await resolveUserRole(user);
+  if (roleName === "Admin") return true;
+
+  const roles = await getRolesConfig();
+  return roles[roleName]?.globalAccess === true;
+};
+
+// What a user may see in batch-scoped listings: null when they see
+// everything, otherwise { batchIds, courseIds } from their assignments
+// plus the batches they're enrolled in. Match records with isAssignedTo.
+export const getBatchScope = async (user) => {
+  if (await hasGlobalAccess(user)) return null;
+
+  const [assignments, enrolledBatchIds] = await Promise.all([
+    getTrainerAssignments(user.uid),
+    getEnrolledBatchIds(user.uid),
+  ]);
+  return {
+    batchIds: [...new Set([...assignments.batchIds, ...enrolledBatchIds])],
+    courseIds: assignments.courseIds,
+  };
+};
+
+// Limit a batch-scoped route to users assigned to the batch or its course.
+// getTarget(req) resolves { batchId, courseId } (see utils/trainerScope.js).
+// With allowEnrolled, trainees of the batch may use the route too.
+// Must be used after authenticateUser.
+const requireBatchAccess =
+  (getTarget, { allowEnrolled = false } = {}) =>
+  async (req, res, next) => {
+    try {
+      if (await hasGlobalAccess(req.user)) {
+        return next();
+      }
+
+      // Let the route itself report missing resources
+      const target = await getTarget(req);
+      if (!target) {
+        return next();
+      }
+
+      const assignments = await getTrainerAssignments(req.user.uid);
+      if (isAssignedTo(assignments, target)) {
+        return next();
+      }
+
+      if (
+        allowEnrolled &&
+        (await isEnrolledInBatch(req.user.uid, target.batchId))
+      ) {
+        return next();
+      }
+
+      res.status(403).json({
+        error: "You are not assigned to this batch",
+        batchId: target.batchId,
+        courseId: target.courseId,
+      });
+    } catch (error) {
+      console.error("Batch access check error:", error);
+      res.status(500).json({ error: "Failed to check batch access" });
+    }
+  };
+
+export default requireBatchAccess;
@@ -0,0 +1,280 @@
+import express from "express";
+import admin from "../config/firebase.config.js";
+import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
+import { hasGlobalAccess } from "../middlewares/scope.middleware.js";
+import { validatePermissions } from "../config/permissions.config.js";
+import {
+  generateApiKey,
+  hashApiKey,
+  isValidIpEntry,
+} from "../utils/apiKeys.js";
+
+const router = express.Router();
+
+// Keys are managed by people, never by other keys
+const rejectApiKeyCallers = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: "API keys cannot manage API keys",
+    });
+  }
+  next();
+};
+
+// Permissions granted to a key that the issuer doesn't hold themselves,
+// as "resource.action" strings. Admins may grant anything.
+const permissionsBeyondIssuer = (req, permissions) => {
+  if (req.userRole === "Admin") return [];
+
+  return Object.entries(permissions).flatMap(([resource, actions]) =>
+    Object.entries(actions)
+      .filter(
+        ([action, granted]) =>
+          granted === true && req.permissions?.[resource]?.[action] !== true
+      )
+      .map(([action]) => `${resource}.${action}`)
+  );
+};
+
+// Everything about a key except its hash
+const toKeyResponse = (id, data) => {
+  const { keyHash, ...rest } = data;
+  return {
+    id,
+    ...rest,
+    expiresAt: data.expiresAt?.toDate() || null,
+    createdAt: data.createdAt?.toDate() || null,
+    revokedAt: data.revokedAt?.toDate() || null,
+    usage: {
+      count: data.usage?.count || 0,
+      lastUsedAt: data.usage?.lastUsedAt?.toDate() || null,
+      lastUsedIp: data.usage?.lastUsedIp || null,
+    },
+  };
+};
+
+// Get all API keys
+router.get(
+  "/",
+  authenticateUser,
+  rejectApiKeyCallers,
+  requirePermission("apiKeys", "view"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin
+        .firestore()
+        .collection("api_keys")
+        .orderBy("createdAt", "desc")
+        .get();
+
+      res.status(200).json({
+        success: true,
+        data: snapshot.docs.map((doc) => toKeyResponse(doc.id, doc.data())),
+      });
+    } catch (error) {
+      console.error("Error fetching API keys:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch API keys",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Issue a new API key. The key itself is only returned in this response.
+router.post(
+  "/",
+  authenticateUser,
+  rejectApiKeyCallers,
+  requirePermission("apiKeys", "create"),
+  async (req, res) => {
+    try {
+      const { name, permissions, expiresAt, ipAllowlist, globalAccess } =
+        req.body;
+
+      if (!name || typeof name !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "Key name is required",
+        });
+      }
+
+      const errors = validatePermissions(permissions);
+
+      if (permissions?.apiKeys || permissions?.roles) {
+        errors.push("API keys cannot be granted apiKeys or roles permissions");
+      }
+
+      if (globalAccess !== undefined && typeof globalAccess !== "boolean") {
+        errors.push("globalAccess must be true or false");
+      }
+
+      let expiryDate = null;
+      if (expiresAt) {
+        expiryDate = new Date(expiresAt);
+        if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+          errors.push("expiresAt must be a future date");
+        }
+      }
+
+      if (
+        ipAllowlist !== undefined &&
+        (!Array.isArray(ipAllowlist) || !ipAllowlist.every(isValidIpEntry))
+      ) {
+        errors.push(
+          "ipAllowlist must be an array of IP addresses or IPv4 CIDR ranges"
+        );
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors,
+        });
+      }
+
+      // A key can never do more than the person who issued it
+      const notHeld = permissionsBeyondIssuer(req, permissions);
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only grant permissions you have yourself",
+          permissions: notHeld,
+        });
+      }
+
+      if (globalAccess && !(await hasGlobalAccess(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Only users with access to all batches can issue globalAccess keys",
+        });
+      }
+
+      const keyRef = admin.firestore().collection("api_keys").doc();
+      const apiKey = generateApiKey(keyRef.id);
+
+      const keyData = {
+        name: name.trim(),
+        keyPrefix: apiKey.slice(0, 12),
+        keyHash: hashApiKey(apiKey),
+        permissions,
+        globalAccess: globalAccess === true,
+        expiresAt: expiryDate
+          ? admin.firestore.Timestamp.fromDate(expiryDate)
+          : null,
+        ipAllowlist: ipAllowlist || [],
+        revoked: false,
+        usage: { count: 0 },
+        createdBy: req.user.email || req.user.uid,
+        createdAt: admin.firestore.Timestamp.now(),
+      };
+
+      await keyRef.set(keyData);
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Store it now, it won't be shown again.",
+        apiKey,
+        data: toKeyResponse(keyRef.id, keyData),
+      });
+    } catch (error) {
+      console.error("Error creating API key:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create API key",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get a single API key
+router.get(
+  "/:keyId",
+  authenticateUser,
+  rejectApiKeyCallers,
+  requirePermission("apiKeys", "view"),
+  async (req, res) => {
+    try {
+      const keyDoc = await admin
+        .firestore()
+        .collection("api_keys")
+        .doc(req.params.keyId)
+        .get();
+
+      if (!keyDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: toKeyResponse(keyDoc.id, keyDoc.data()),
+      });
+    } catch (error) {
+      console.error("Error fetching API key:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch API key",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Revoke an API key. The record stays for its usage history.
+router.delete(
+  "/:keyId",
+  authenticateUser,
+  rejectApiKeyCallers,
+  requirePermission("apiKeys", "delete"),
+  async (req, res) => {
+    try {
+      const keyRef = admin
+        .firestore()
+        .collection("api_keys")
+        .doc(req.params.keyId);
+      const keyDoc = await keyRef.get();
+
+      if (!keyDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found",
+        });
+      }
+
+      if (keyDoc.data().revoked) {
+        return res.status(400).json({
+          success: false,
+          message: "API key is already revoked",
+        });
+      }
+
+      await keyRef.update({
+        revoked: true,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedBy: req.user.email || req.user.uid,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "API key revoked successfully",
+      });
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke API key",
+        error: error.message,
+      });
+    }
+  }
+);
+
+export default router;
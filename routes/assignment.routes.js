@@ -1,12 +1,23 @@
 import express from "express";
 import admin from "firebase-admin";
 import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
+import requireBatchAccess, {
+  getBatchScope,
+} from "../middlewares/scope.middleware.js";
+import {
+  batchFromBody,
+  batchFromAssignment,
+  batchFromParam,
+  isAssignedTo,
+} from "../utils/trainerScope.js";
 
 const router = express.Router();
 
-// Get all assignments
+// Get all assignments the user may see
 router.get("/", authenticateUser, async (req, res) => {
   try {
+    const scope = await getBatchScope(req.user);
     const assignmentsRef = admin.firestore().collection("assignments");
     const snapshot = await assignmentsRef.get();
 
@@ -38,6 +49,16 @@ router.get("/", authenticateUser, async (req, res) => {
             assignmentData.batchId = documentData.batchId;
           }
 
+          if (
+            scope &&
+            !isAssignedTo(scope, {
+              batchId: assignmentData.batchId,
+              courseId: assignmentData.courseId,
+            })
+          ) {
+            continue;
+          }
+
           assignments.push({
             documentId: doc.id,
             assignmentId: `${doc.id}-${field}`,
@@ -63,68 +84,77 @@ router.get("/", authenticateUser, async (req, res) => {
 });
 
 // Get assignments for a specific batch
-router.get("/batch/:batchId", authenticateUser, async (req, res) => {
-  try {
-    const { batchId } = req.params;
+router.get(
+  "/batch/:batchId",
+  authenticateUser,
+  requireBatchAccess(batchFromParam(), { allowEnrolled: true }),
+  async (req, res) => {
+    try {
+      const { batchId } = req.params;
 
-    if (!batchId) {
-      return res.status(400).json({
-        success: false,
-        message: "Batch ID is required",
-      });
-    }
+      if (!batchId) {
+        return res.status(400).json({
+          success: false,
+          message: "Batch ID is required",
+        });
+      }
 
-    const assignmentsRef = admin.firestore().collection("assignments");
+      const assignmentsRef = admin.firestore().collection("assignments");
 
-    // Query assignments by the batchId field in the assignment documents
-    const snapshot = await assignmentsRef.where("batchId", "==", batchId).get();
+      // Query assignments by the batchId field in the assignment documents
+      const snapshot = await assignmentsRef
+        .where("batchId", "==", batchId)
+        .get();
 
-    if (snapshot.empty) {
-      return res.status(200).json({
-        success: true,
-        data: [],
-      });
-    }
+      if (snapshot.empty) {
+        return res.status(200).json({
+          success: true,
+          data: [],
+        });
+      }
 
-    const assignments = [];
-    snapshot.forEach((doc) => {
-      const documentData = doc.data();
-      const documentFields = Object.keys(documentData).filter(
-        (key) => key !== "createdAt" && key !== "updatedAt" && key !== "batchId"
-      );
+      const assignments = [];
+      snapshot.forEach((doc) => {
+        const documentData = doc.data();
+        const documentFields = Object.keys(documentData).filter(
+          (key) =>
+            key !== "createdAt" && key !== "updatedAt" && key !== "batchId"
+        );
 
-      // For each assignment field in the document
-      documentFields.forEach((field) => {
-        // Only include assignments that match the requested batchId
-        if (documentData[field].batchId === batchId) {
-          assignments.push({
-            documentId: doc.id,
-            assignmentId: `${doc.id}-${field}`,
-            assignmentName: field,
-            ...documentData[field],
-          });
-        }
+        // For each assignment field in the document
+        documentFields.forEach((field) => {
+          // Only include assignments that match the requested batchId
+          if (documentData[field].batchId === batchId) {
+            assignments.push({
+              documentId: doc.id,
+              assignmentId: `${doc.id}-${field}`,
+              assignmentName: field,
+              ...documentData[field],
+            });
+          }
+        });
       });
-    });
 
-    res.status(200).json({
-      success: true,
-      data: assignments,
-    });
-  } catch (error) {
-    console.error("Error fetching assignments for batch:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch assignments for batch",
-      error: error.message,
-    });
+      res.status(200).json({
+        success: true,
+        data: assignments,
+      });
+    } catch (error) {
+      console.error("Error fetching assignments for batch:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch assignments for batch",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Get a specific assignment by document ID and assignment name
 router.get(
   "/:documentId/:assignmentName",
   authenticateUser,
+  requireBatchAccess(batchFromAssignment, { allowEnrolled: true }),
   async (req, res) => {
     try {
       const { documentId, assignmentName } = req.params;
@@ -178,120 +208,131 @@ router.get(
 );
 
 // Create a new assignment
-router.post("/", authenticateUser, async (req, res) => {
-  try {
-    const {
-      assignmentName,
-      courseId,
-      courseName,
-      batchId,
-      duration,
-      totalMarks,
-      questions,
-      assignmentDate,
-      status,
-    } = req.body;
-
-    if (
-      !assignmentName ||
-      !courseId ||
-      !batchId ||
-      !questions ||
-      !assignmentDate
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields",
-      });
-    }
-
-    // Format date for document ID: DD-MM-YY
-    const dateParts = assignmentDate.split("-");
-    if (dateParts.length !== 3) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid date format. Expected YYYY-MM-DD",
-      });
-    }
+router.post(
+  "/",
+  authenticateUser,
+  requirePermission("assignments", "create"),
+  requireBatchAccess(batchFromBody),
+  async (req, res) => {
+    try {
+      const {
+        assignmentName,
+        courseId,
+        courseName,
+        batchId,
+        duration,
+        totalMarks,
+        questions,
+        assignmentDate,
+        status,
+      } = req.body;
 
-    const year = dateParts[0].slice(-2); // Get last 2 digits of year
-    const month = dateParts[1];
-    const day = dateParts[2];
-    const formattedDate = `${day}-${month}-${year}`;
-
-    // Create document ID: date-batchId
-    const documentId = `${formattedDate}-${batchId}`;
-
-    // Check if document already exists
-    const docRef = admin.firestore().collection("assignments").doc(documentId);
-    const doc = await docRef.get();
-
-    const assignmentData = {
-      courseId,
-      courseName,
-      batchId,
-      duration,
-      totalMarks,
-      questions,
-      assignmentDate,
-      status: status || "Upcoming",
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      createdBy: {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
-      },
-    };
-
-    if (doc.exists) {
-      // Document exists, update it with the new assignment field
-      const updateData = {
-        [assignmentName]: assignmentData,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      };
+      if (
+        !assignmentName ||
+        !courseId ||
+        !batchId ||
+        !questions ||
+        !assignmentDate
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing required fields",
+        });
+      }
 
-      // Only update batchId at document level if it doesn't exist yet
-      if (!doc.data().batchId) {
-        updateData.batchId = batchId;
+      // Format date for document ID: DD-MM-YY
+      const dateParts = assignmentDate.split("-");
+      if (dateParts.length !== 3) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date format. Expected YYYY-MM-DD",
+        });
       }
 
-      await docRef.update(updateData);
-    } else {
-      // Document doesn't exist, create it with the assignment field
-      const newDocData = {
-        [assignmentName]: assignmentData,
-        batchId, // Adding batchId at document level for querying
+      const year = dateParts[0].slice(-2); // Get last 2 digits of year
+      const month = dateParts[1];
+      const day = dateParts[2];
+      const formattedDate = `${day}-${month}-${year}`;
+
+      // Create document ID: date-batchId
+      const documentId = `${formattedDate}-${batchId}`;
+
+      // Check if document already exists
+      const docRef = admin
+        .firestore()
+        .collection("assignments")
+        .doc(documentId);
+      const doc = await docRef.get();
+
+      const assignmentData = {
+        courseId,
+        courseName,
+        batchId,
+        duration,
+        totalMarks,
+        questions,
+        assignmentDate,
+        status: status || "Upcoming",
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        },
       };
 
-      await docRef.set(newDocData);
-    }
+      if (doc.exists) {
+        // Document exists, update it with the new assignment field
+        const updateData = {
+          [assignmentName]: assignmentData,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
 
-    res.status(201).json({
-      success: true,
-      message: "Assignment created successfully",
-      data: {
-        documentId,
-        assignmentName,
-        ...assignmentData,
-      },
-    });
-  } catch (error) {
-    console.error("Error creating assignment:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create assignment",
-      error: error.message,
-    });
+        // Only update batchId at document level if it doesn't exist yet
+        if (!doc.data().batchId) {
+          updateData.batchId = batchId;
+        }
+
+        await docRef.update(updateData);
+      } else {
+        // Document doesn't exist, create it with the assignment field
+        const newDocData = {
+          [assignmentName]: assignmentData,
+          batchId, // Adding batchId at document level for querying
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        await docRef.set(newDocData);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Assignment created successfully",
+        data: {
+          documentId,
+          assignmentName,
+          ...assignmentData,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating assignment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create assignment",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Update an assignment
 router.put(
   "/:documentId/:assignmentName",
   authenticateUser,
+  requirePermission("assignments", "edit"),
+  requireBatchAccess(batchFromAssignment),
   async (req, res) => {
     try {
       const { documentId, assignmentName } = req.params;
@@ -385,6 +426,8 @@ router.put(
 router.delete(
   "/:documentId/:assignmentName",
   authenticateUser,
+  requirePermission("assignments", "delete"),
+  requireBatchAccess(batchFromAssignment),
   async (req, res) => {
     try {
       const { documentId, assignmentName } = req.params;
@@ -701,6 +744,7 @@ router.get("/trainee", authenticateUser, async (req, res) => {
 router.post(
   "/:documentId/:assignmentName/submit",
   authenticateUser,
+  requireBatchAccess(batchFromAssignment, { allowEnrolled: true }),
   async (req, res) => {
     try {
       const { documentId, assignmentName } = req.params;
@@ -724,6 +768,13 @@ router.post(
         });
       }
 
+      if (traineeId !== req.user.uid) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only submit your own assignments",
+        });
+      }
+
       // Get the assignment document
       const assignmentRef = admin
         .firestore()
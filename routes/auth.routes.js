@@ -1,201 +1,1712 @@
 import express from "express";
 import admin from "../config/firebase.config.js";
-import authenticateUser from "../middlewares/auth.middleware.js";
+import authenticateUser, {
+  allowApiKey,
+} from "../middlewares/auth.middleware.js";
+import requirePermission, {
+  resolveUserRole,
+  checkRoleGrant,
+} from "../middlewares/permission.middleware.js";
+import upload from "../middlewares/upload.middleware.js";
 import axios from "axios";
+import multer from "multer";
+import fs from "fs";
+import {
+  exportMyData,
+  anonymizeUser,
+} from "../controllers/privacy.controller.js";
+import { uploadFileToCloudinary } from "../controllers/upload.controller.js";
+import { sendMail } from "../config/mailer.config.js";
+import cloudinary from "../config/cloudinary.config.js";
+import { getRolesConfig } from "../config/roles.config.js";
+import { parseCsv } from "../utils/csv.js";
+import { propagateUserIdentity } from "../utils/userReferences.js";
+import {
+  recordLoginAttempt,
+  getActiveLockout,
+  registerLoginFailure,
+  clearLockout,
+  normalizeEmail,
+} from "../utils/loginAudit.js";
+import {
+  getSessionId,
+  trackIssuedSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+import {
+  findBatchesByIds,
+  enrollUserInBatch,
+  setTraineeArchived,
+} from "../utils/trainees.js";
+import {
+  buildSearchKeys,
+  normalizeSearchTerm,
+  matchesSearch,
+} from "../utils/userSearch.js";
 
 const router = express.Router();
 
+// Keep CSV imports in memory, they're parsed straight away
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+});
+
+const MAX_IMPORT_ROWS = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Read one text column of an import row. Numbers are taken as text, other
+// types record an error on the row.
+const importField = (raw, errors, field, ...aliases) => {
+  const value = [field, ...aliases]
+    .map((key) => raw[key])
+    .find((candidate) => candidate != null && candidate !== "");
+
+  if (value === undefined || typeof value === "string") {
+    return (value || "").trim();
+  }
+  if (typeof value === "number") return String(value);
+
+  errors.push(`${field} must be text`);
+  return "";
+};
+
+// Sign in through the Firebase REST API with the web API key
+const signInWithPassword = (email, password) =>
+  axios.post(
+    `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${process.env.FIREBASE_API_KEY}`,
+    {
+      email,
+      password,
+      returnSecureToken: true,
+    }
+  );
+
+const roleGrantErrorResponse = (res, grantError) =>
+  res.status(grantError.status).json({
+    success: false,
+    message: grantError.error,
+    ...(grantError.permissions && { permissions: grantError.permissions }),
+  });
+
+const lockedOutResponse = (res, lockedUntil) => {
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: "Too many failed login attempts. Please try again later.",
+    retryAfter,
+  });
+};
+
 // Email/password login endpoint
 router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and password are required",
+      });
+    }
+
+    const attempt = {
+      email,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    };
+
+    // Refuse to even try while the email is locked out
+    const lockedUntil = await getActiveLockout(email);
+    if (lockedUntil) {
+      await recordLoginAttempt({ ...attempt, outcome: "locked" });
+      return lockedOutResponse(res, lockedUntil);
+    }
+
+    // Only the sign-in itself can fail the credentials; errors after it are
+    // server errors and mustn't count towards a lockout
+    let response;
+    try {
+      // Use Firebase REST API with your web API key
+      response = await signInWithPassword(email, password);
+    } catch (error) {
+      console.error(
+        "Firebase authentication error:",
+        error.response?.data || error.message
+      );
+
+      const errorCode = error.response?.data?.error?.message || null;
+      await recordLoginAttempt({ ...attempt, outcome: "failure", errorCode });
+
+      // Only count rejections from Firebase, not network errors
+      if (error.response) {
+        const newLock = await registerLoginFailure(email);
+        if (newLock) {
+          return lockedOutResponse(res, newLock);
+        }
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+        error: error.response?.data?.error?.message || error.message,
+      });
+    }
+
+    await recordLoginAttempt({
+      ...attempt,
+      userId: response.data.localId,
+      outcome: "success",
+    });
+    await clearLockout(email);
+
+    // A tracking failure shouldn't turn a good login into a failed one
+    const { sessionId } = await trackIssuedSession(response.data.idToken, {
+      ...attempt,
+      event: "login",
+    });
+
+    // Return the Firebase ID token
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      idToken: response.data.idToken,
+      refreshToken: response.data.refreshToken,
+      expiresIn: response.data.expiresIn,
+      userId: response.data.localId,
+      sessionId,
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+      error: error.message,
+    });
+  }
+});
+
+// Exchange a refresh token for a new ID token
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        `https://securetoken.googleapis.com/v1/token?key=${process.env.FIREBASE_API_KEY}`,
+        new URLSearchParams({
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+        })
+      );
+    } catch (error) {
+      console.error(
+        "Firebase token refresh error:",
+        error.response?.data || error.message
+      );
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+        error: error.response?.data?.error?.message || error.message,
+      });
+    }
+
+    // Only a valid refresh token gets here, so tracking problems aren't
+    // reported as a bad token
+    const session = await trackIssuedSession(response.data.id_token, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      event: "refresh",
+    });
+
+    if (session.revoked) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      idToken: response.data.id_token,
+      refreshToken: response.data.refresh_token,
+      expiresIn: response.data.expires_in,
+      userId: response.data.user_id,
+      sessionId: session.sessionId,
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during token refresh",
+      error: error.message,
+    });
+  }
+});
+
+// Logout endpoint, revokes all of the caller's refresh tokens
+router.post("/logout", authenticateUser, async (req, res) => {
+  try {
+    await admin.auth().revokeRefreshTokens(req.user.uid);
+    await revokeAllSessions(req.user.uid, req.user.email || req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to log out",
+      error: error.message,
+    });
+  }
+});
+
+// Active sessions of the calling user, marking the one making this request
+router.get("/sessions", authenticateUser, async (req, res) => {
+  try {
+    const currentSessionId = getSessionId(req.user.uid, req.user.auth_time);
+    const sessions = await listActiveSessions(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === currentSessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+      error: error.message,
+    });
+  }
+});
+
+// End all of the caller's other sessions (keeps the current one)
+router.delete("/sessions", authenticateUser, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(
+      req.user.uid,
+      req.user.email || req.user.uid,
+      getSessionId(req.user.uid, req.user.auth_time)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Other sessions revoked successfully",
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+      error: error.message,
+    });
+  }
+});
+
+// End one of the caller's sessions
+router.delete("/sessions/:sessionId", authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeSession(
+      req.user.uid,
+      req.params.sessionId,
+      req.user.email || req.user.uid
+    );
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+      error: error.message,
+    });
+  }
+});
+
+// Active sessions of any user
+router.get(
+  "/users/:userId/sessions",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const sessions = await listActiveSessions(req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        sessions,
+      });
+    } catch (error) {
+      if (error.code === "auth/user-not-found") {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+      console.error("Error fetching user sessions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch user sessions",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// End all sessions of a user, including their refresh tokens
+router.delete(
+  "/users/:userId/sessions",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      await admin.auth().revokeRefreshTokens(userId);
+      const revokedCount = await revokeAllSessions(
+        userId,
+        req.user.email || req.user.uid
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "User sessions revoked successfully",
+        revokedCount,
+      });
+    } catch (error) {
+      if (error.code === "auth/user-not-found") {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+      console.error("Error revoking user sessions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke user sessions",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// End one session of a user
+router.delete(
+  "/users/:userId/sessions/:sessionId",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { userId, sessionId } = req.params;
+
+      const revoked = await revokeSession(
+        userId,
+        sessionId,
+        req.user.email || req.user.uid
+      );
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Session revoked successfully",
+      });
+    } catch (error) {
+      console.error("Error revoking user session:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke user session",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Send a password reset link to the user's email
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    };
+
+    let resetLink;
+    try {
+      resetLink = await admin.auth().generatePasswordResetLink(email);
+    } catch (error) {
+      if (error.code === "auth/user-not-found") {
+        return res.status(200).json(genericResponse);
+      }
+      throw error;
+    }
+
+    await sendMail({
+      to: email,
+      subject: "Reset your password",
+      text: [
+        "We received a request to reset your password.",
+        "",
+        "Open the link below to choose a new password:",
+        "",
+        resetLink,
+        "",
+        "If you did not request a password reset, you can ignore this email.",
+      ].join("\n"),
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Error sending password reset email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send password reset email",
+      error: error.message,
+    });
+  }
+});
+
+// Change the caller's password after re-checking the current one
+router.post("/change-password", authenticateUser, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password and new password are required",
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be at least 6 characters long",
+      });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be different from the current password",
+      });
+    }
+
+    try {
+      await signInWithPassword(req.user.email, currentPassword);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+        error: error.response?.data?.error?.message || error.message,
+      });
+    }
+
+    await admin.auth().updateUser(req.user.uid, {
+      password: newPassword,
+    });
+
+    // Changing the password revokes existing sessions, so sign in again
+    const response = await signInWithPassword(req.user.email, newPassword);
+    const { sessionId } = await trackIssuedSession(response.data.idToken, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      event: "password-change",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+      idToken: response.data.idToken,
+      refreshToken: response.data.refreshToken,
+      expiresIn: response.data.expiresIn,
+      userId: response.data.localId,
+      sessionId,
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change password",
+      error: error.message,
+    });
+  }
+});
+
+// User registration endpoint
+router.post(
+  "/register",
+  authenticateUser,
+  requirePermission("users", "create"),
+  async (req, res) => {
+    try {
+      const { fullName, email, password, role } = req.body;
+
+      // Validate input
+      if (!fullName || !email || !password || !role) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing required fields",
+        });
+      }
+
+      const grantError = await checkRoleGrant(req, role);
+      if (grantError) return roleGrantErrorResponse(res, grantError);
+
+      // Create user in Firebase Auth
+      const userRecord = await admin.auth().createUser({
+        email: email,
+        password: password,
+        displayName: fullName,
+      });
+
+      // Set custom claims for role
+      await admin.auth().setCustomUserClaims(userRecord.uid, {
+        role: role,
+      });
+
+      // Store additional user data in Firestore
+      await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userRecord.uid)
+        .set({
+          uid: userRecord.uid,
+          fullName: fullName,
+          email: email,
+          searchKeys: buildSearchKeys({ fullName, email }),
+          role: role,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+      res.status(201).json({
+        success: true,
+        message: "User created successfully",
+        user: {
+          uid: userRecord.uid,
+          fullName: fullName,
+          email: email,
+          role: role,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create user",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Bulk user import (CSV upload or JSON list), supports a dry run
+router.post(
+  "/users/import",
+  allowApiKey,
+  authenticateUser,
+  requirePermission("users", "create"),
+  csvUpload.single("file"),
+  async (req, res) => {
+    try {
+      const dryRun =
+        req.body.dryRun === true ||
+        req.body.dryRun === "true" ||
+        req.query.dryRun === "true";
+      const sendInvites =
+        req.body.sendInvites !== false && req.body.sendInvites !== "false";
+
+      // Collect the raw rows from the uploaded file or the request body
+      let rawRows;
+      if (req.file) {
+        rawRows = parseCsv(req.file.buffer.toString("utf8"));
+      } else if (Array.isArray(req.body.users)) {
+        rawRows = req.body.users;
+      } else if (typeof req.body.csv === "string") {
+        rawRows = parseCsv(req.body.csv);
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: "Provide a CSV file, a csv string or a users array",
+        });
+      }
+
+      if (rawRows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No users found to import",
+        });
+      }
+
+      if (rawRows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `A single import is limited to ${MAX_IMPORT_ROWS} users`,
+        });
+      }
+
+      const rows = rawRows.map((raw, index) => {
+        if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+          return {
+            row: index + 1,
+            fullName: "",
+            email: "",
+            role: "",
+            batchId: "",
+            malformed: true,
+            errors: ["row must be an object"],
+          };
+        }
+
+        const errors = [];
+        return {
+          row: index + 1,
+          fullName: importField(raw, errors, "fullName", "name"),
+          email: importField(raw, errors, "email").toLowerCase(),
+          role: importField(raw, errors, "role"),
+          batchId: importField(raw, errors, "batch", "batchId"),
+          errors,
+        };
+      });
+
+      const roles = await getRolesConfig();
+
+      // Roles the caller isn't allowed to hand out, checked once per role
+      const roleGrantErrors = new Map();
+      for (const role of new Set(rows.map((r) => r.role))) {
+        if (roles[role] && roles[role].active !== false) {
+          roleGrantErrors.set(role, await checkRoleGrant(req, role));
+        }
+      }
+
+      // Look up every referenced batch once
+      const batches = await findBatchesByIds(
+        rows.map((r) => r.batchId).filter(Boolean)
+      );
+
+      // Validate each row on its own
+      const seenEmails = new Set();
+      rows.forEach((row) => {
+        if (row.malformed) return;
+
+        if (!row.fullName) row.errors.push("fullName is required");
+        if (!row.email) {
+          row.errors.push("email is required");
+        } else if (!EMAIL_PATTERN.test(row.email)) {
+          row.errors.push("email is not valid");
+        } else if (seenEmails.has(row.email)) {
+          row.errors.push("email appears more than once in the import");
+        }
+        seenEmails.add(row.email);
+
+        if (!row.role) {
+          row.errors.push("role is required");
+        } else if (!roles[row.role]) {
+          row.errors.push(`role "${row.role}" does not exist`);
+        } else if (roles[row.role].active === false) {
+          row.errors.push(`role "${row.role}" is inactive`);
+        } else if (roleGrantErrors.get(row.role)) {
+          row.errors.push(roleGrantErrors.get(row.role).error);
+        }
+
+        if (row.batchId && !batches.get(row.batchId)) {
+          row.errors.push(`batch "${row.batchId}" does not exist`);
+        }
+      });
+
+      // Detect users that already exist in Firebase Auth or user_manage
+      const emails = [
+        ...new Set(
+          rows.filter((r) => EMAIL_PATTERN.test(r.email)).map((r) => r.email)
+        ),
+      ];
+      const existingEmails = new Set();
+
+      for (let i = 0; i < emails.length; i += 100) {
+        const result = await admin
+          .auth()
+          .getUsers(emails.slice(i, i + 100).map((email) => ({ email })));
+        result.users.forEach((user) =>
+          existingEmails.add(user.email.toLowerCase())
+        );
+      }
+
+      for (let i = 0; i < emails.length; i += 30) {
+        const snapshot = await admin
+          .firestore()
+          .collection("user_manage")
+          .where("email", "in", emails.slice(i, i + 30))
+          .get();
+        snapshot.forEach((doc) =>
+          existingEmails.add(doc.data().email.toLowerCase())
+        );
+      }
+
+      rows.forEach((row) => {
+        if (existingEmails.has(row.email)) {
+          row.errors.push("a user with this email already exists");
+        }
+      });
+
+      const report = [];
+
+      for (const row of rows) {
+        const entry = {
+          row: row.row,
+          email: row.email,
+          fullName: row.fullName,
+          role: row.role,
+          batchId: row.batchId || null,
+        };
+
+        if (row.errors.length > 0) {
+          report.push({ ...entry, status: "failed", errors: row.errors });
+          continue;
+        }
+
+        if (dryRun) {
+          report.push({ ...entry, status: "valid" });
+          continue;
+        }
+
+        // Create the account, one row failing doesn't stop the rest
+        try {
+          const userRecord = await admin.auth().createUser({
+            email: row.email,
+            displayName: row.fullName,
+          });
+
+          await admin.auth().setCustomUserClaims(userRecord.uid, {
+            role: row.role,
+          });
+
+          await admin
+            .firestore()
+            .collection("user_manage")
+            .doc(userRecord.uid)
+            .set({
+              uid: userRecord.uid,
+              fullName: row.fullName,
+              email: row.email,
+              searchKeys: buildSearchKeys(row),
+              role: row.role,
+              importedBy: req.user.email || req.user.uid,
+              createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+          if (row.batchId) {
+            await enrollUserInBatch({
+              userId: userRecord.uid,
+              name: row.fullName,
+              email: row.email,
+              batch: batches.get(row.batchId),
+            });
+          }
+
+          // Imported accounts have no password, send a link to set one
+          let inviteSent = false;
+          if (sendInvites) {
+            try {
+              const link = await admin
+                .auth()
+                .generatePasswordResetLink(row.email);
+              await sendMail({
+                to: row.email,
+                subject: "Your training portal account",
+                text: [
+                  `Hi ${row.fullName},`,
+                  "",
+                  "An account has been created for you on the training portal.",
+                  "Open the link below to set your password:",
+                  "",
+                  link,
+                ].join("\n"),
+              });
+              inviteSent = true;
+            } catch (error) {
+              console.error(`Error sending invite to ${row.email}:`, error);
+            }
+          }
+
+          report.push({
+            ...entry,
+            status: "created",
+            uid: userRecord.uid,
+            inviteSent,
+          });
+        } catch (error) {
+          console.error(`Error importing user ${row.email}:`, error);
+          report.push({ ...entry, status: "failed", errors: [error.message] });
+        }
+      }
+
+      const summary = {
+        total: report.length,
+        failed: report.filter((r) => r.status === "failed").length,
+        ...(dryRun
+          ? { valid: report.filter((r) => r.status === "valid").length }
+          : { created: report.filter((r) => r.status === "created").length }),
+      };
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun ? "Dry run completed" : "User import completed",
+        dryRun,
+        summary,
+        report,
+      });
+    } catch (error) {
+      console.error("Error importing users:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import users",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Build a verification link that points at our verify-email callback
+const sendVerificationEmail = async (email, fullName) => {
+  const firebaseLink = await admin.auth().generateEmailVerificationLink(email);
+  const oobCode = new URL(firebaseLink).searchParams.get("oobCode");
+
+  const apiBaseUrl =
+    process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const query = new URLSearchParams({ oobCode });
+  const verificationLink = `${apiBaseUrl}/api/auth/verify-email?${query}`;
+
+  await sendMail({
+    to: email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${fullName || "there"},`,
+      "",
+      "Please verify your email address by opening the link below:",
+      "",
+      verificationLink,
+      "",
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+// Public trainee signup endpoint
+router.post("/signup", async (req, res) => {
+  try {
+    const { fullName, email, password } = req.body;
+
+    // Validate input
+    if (!fullName || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Full name, email and password are required",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    // Create user in Firebase Auth
+    let userRecord;
+    try {
+      userRecord = await admin.auth().createUser({
+        email: email,
+        password: password,
+        displayName: fullName,
+        emailVerified: false,
+      });
+    } catch (error) {
+      if (error.code === "auth/email-already-exists") {
+        return res.status(409).json({
+          success: false,
+          message: "An account with this email already exists",
+        });
+      }
+      if (
+        error.code === "auth/invalid-email" ||
+        error.code === "auth/invalid-password"
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    // Self-registered users always start as trainees. If the account can't
+    // be set up, remove it so the email can sign up again.
+    try {
+      await admin.auth().setCustomUserClaims(userRecord.uid, {
+        role: "Trainee",
+      });
+
+      await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userRecord.uid)
+        .set({
+          uid: userRecord.uid,
+          fullName: fullName,
+          email: email,
+          searchKeys: buildSearchKeys({ fullName, email }),
+          role: "Trainee",
+          emailVerified: false,
+          signupSource: "self",
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    } catch (error) {
+      try {
+        await admin.auth().deleteUser(userRecord.uid);
+      } catch (deleteError) {
+        console.error("Error removing incomplete signup:", deleteError);
+      }
+      throw error;
+    }
+
+    // Don't fail the signup if the email can't be sent, the user can resend it
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(email, fullName);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+      verificationEmailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Account created. Please verify your email address.",
+      verificationEmailSent,
+      user: {
+        uid: userRecord.uid,
+        fullName: fullName,
+        email: email,
+        role: "Trainee",
+      },
+    });
+  } catch (error) {
+    console.error("Error during signup:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create account",
+      error: error.message,
+    });
+  }
+});
+
+// Email verification callback (link sent by /signup and /resend-verification)
+router.get("/verify-email", async (req, res) => {
+  try {
+    const { oobCode } = req.query;
+
+    if (!oobCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification code is required",
+      });
+    }
+
+    // Apply the verification code through the Firebase REST API
+    let email;
+    try {
+      const response = await axios.post(
+        `https://identitytoolkit.googleapis.com/v1/accounts:update?key=${process.env.FIREBASE_API_KEY}`,
+        { oobCode }
+      );
+      email = response.data.email;
+    } catch (error) {
+      console.error(
+        "Firebase email verification error:",
+        error.response?.data || error.message
+      );
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification link",
+        error: error.response?.data?.error?.message || error.message,
+      });
+    }
+
+    const userRecord = await admin.auth().getUserByEmail(email);
+
+    await admin.firestore().collection("user_manage").doc(userRecord.uid).set(
+      {
+        emailVerified: true,
+        emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify email",
+      error: error.message,
+    });
+  }
+});
+
+// Resend the verification email
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message:
+        "If an unverified account exists for this email, a verification link has been sent",
+    };
+
+    let userRecord;
+    try {
+      userRecord = await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      if (error.code === "auth/user-not-found") {
+        return res.status(200).json(genericResponse);
+      }
+      throw error;
+    }
+
+    if (!userRecord.emailVerified) {
+      await sendVerificationEmail(email, userRecord.displayName);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resend verification email",
+      error: error.message,
+    });
+  }
+});
+
+// Update user endpoint
+router.put(
+  "/users/:userId",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { fullName, email, role, password } = req.body;
+
+      // Validate input
+      if (!fullName || !email || !role) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing required fields",
+        });
+      }
+
+      const userDoc = await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userId)
+        .get();
+
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Nobody can take over or demote an account above their own role.
+      // A role that no longer exists doesn't stop the edit.
+      const currentRole = userDoc.data().role;
+      if (currentRole) {
+        const currentRoleError = await checkRoleGrant(req, currentRole);
+        if (currentRoleError?.status === 403) {
+          return res.status(403).json({
+            success: false,
+            message: "You can't edit users whose role is above your own",
+          });
+        }
+      }
+
+      const grantError = await checkRoleGrant(req, role);
+      if (grantError) return roleGrantErrorResponse(res, grantError);
+
+      // Update user in Firestore
+      await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userId)
+        .update({
+          fullName,
+          email,
+          searchKeys: buildSearchKeys({ fullName, email }),
+          role,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+      // If password is provided, update it in Firebase Auth
+      if (password) {
+        await admin.auth().updateUser(userId, {
+          password: password,
+        });
+      }
+
+      // Update email and displayName in Firebase Auth
+      await admin.auth().updateUser(userId, {
+        email: email,
+        displayName: fullName,
+      });
+
+      // Update custom claims for role
+      await admin.auth().setCustomUserClaims(userId, {
+        role: role,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "User updated successfully",
+        user: {
+          uid: userId,
+          fullName,
+          email,
+          role,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update user",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Deactivate a user: disable sign-in and archive the profile, keeping history
+const deactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const userRef = admin.firestore().collection("user_manage").doc(userId);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (userId === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    if (userDoc.data().archived) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already deactivated",
+      });
+    }
+
+    // Disable the Auth account and sign the user out everywhere
+    await admin.auth().updateUser(userId, { disabled: true });
+    await admin.auth().revokeRefreshTokens(userId);
+
+    await userRef.update({
+      archived: true,
+      archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      archivedBy: req.user.email || req.user.uid,
+    });
+
+    // Hide the user from batch rosters without removing their records
+    const rostersUpdated = await setTraineeArchived(userId, true);
+
+    res.status(200).json({
+      success: true,
+      message: "User deactivated successfully",
+      data: {
+        userId,
+        rostersUpdated,
+      },
+    });
+  } catch (error) {
+    console.error("Error deactivating user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to deactivate user",
+      error: error.message,
+    });
+  }
+};
+
+// Deactivate user endpoint
+router.post(
+  "/users/:userId/deactivate",
+  authenticateUser,
+  requirePermission("users", "delete"),
+  deactivateUser
+);
+
+// Delete user endpoint, now a soft delete so references stay valid
+router.delete(
+  "/users/:userId",
+  authenticateUser,
+  requirePermission("users", "delete"),
+  deactivateUser
+);
+
+// Restore a deactivated user
+router.post(
+  "/users/:userId/restore",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const userRef = admin.firestore().collection("user_manage").doc(userId);
+      const userDoc = await userRef.get();
+
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!userDoc.data().archived) {
+        return res.status(400).json({
+          success: false,
+          message: "User is not deactivated",
+        });
+      }
+
+      await admin.auth().updateUser(userId, { disabled: false });
+
+      await userRef.update({
+        archived: false,
+        archivedAt: admin.firestore.FieldValue.delete(),
+        archivedBy: admin.firestore.FieldValue.delete(),
+        restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+        restoredBy: req.user.email || req.user.uid,
+      });
+
+      const rostersUpdated = await setTraineeArchived(userId, false);
+
+      res.status(200).json({
+        success: true,
+        message: "User restored successfully",
+        data: {
+          userId,
+          rostersUpdated,
+        },
+      });
+    } catch (error) {
+      console.error("Error restoring user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore user",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get archived (deactivated) users
+router.get(
+  "/users/archived",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin
+        .firestore()
+        .collection("user_manage")
+        .where("archived", "==", true)
+        .orderBy("archivedAt", "desc")
+        .get();
+
+      const users = snapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+
+      res.status(200).json({
+        success: true,
+        users,
+      });
+    } catch (error) {
+      console.error("Error fetching archived users:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch archived users",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Revoke all of a user's tokens so they're signed out immediately
+router.post(
+  "/users/:userId/revoke-tokens",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      await admin.auth().revokeRefreshTokens(userId);
+
+      res.status(200).json({
+        success: true,
+        message: "User tokens revoked successfully",
+      });
+    } catch (error) {
+      console.error("Error revoking user tokens:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke user tokens",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Look up the email a user logs in with (profile first, then Auth)
+const getUserEmail = async (userId) => {
+  const userDoc = await admin
+    .firestore()
+    .collection("user_manage")
+    .doc(userId)
+    .get();
+  if (userDoc.exists && userDoc.data().email) {
+    return userDoc.data().email;
+  }
+
+  try {
+    return (await admin.auth().getUser(userId)).email || null;
+  } catch (error) {
+    if (error.code === "auth/user-not-found") return null;
+    throw error;
+  }
+};
+
+// Recent login attempts for a user, plus their current lockout state
+router.get(
+  "/users/:userId/login-attempts",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const email = await getUserEmail(userId);
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Filter on email only and sort here to avoid a composite index
+      const snapshot = await admin
+        .firestore()
+        .collection("login_audit")
+        .where("email", "==", normalizeEmail(email))
+        .get();
+
+      const attempts = snapshot.docs
+        .map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          createdAt: doc.data().createdAt?.toDate() || null,
+        }))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .slice(0, limit);
+
+      const lockedUntil = await getActiveLockout(email);
+
+      res.status(200).json({
+        success: true,
+        email,
+        lockedUntil,
+        attempts,
+      });
+    } catch (error) {
+      console.error("Error fetching login attempts:", error);
+      res.status(500).json({
         success: false,
-        message: "Email and password are required",
+        message: "Failed to fetch login attempts",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Use Firebase REST API with your web API key
+// Clear a login lockout so the user can try again straight away
+router.delete(
+  "/users/:userId/lockout",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
     try {
-      const response = await axios.post(
-        `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${process.env.FIREBASE_API_KEY}`,
-        {
-          email,
-          password,
-          returnSecureToken: true,
-        }
-      );
+      const { userId } = req.params;
+
+      const email = await getUserEmail(userId);
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const cleared = await clearLockout(email);
 
-      // Return the Firebase ID token
       res.status(200).json({
         success: true,
-        message: "Login successful",
-        idToken: response.data.idToken,
-        refreshToken: response.data.refreshToken,
-        expiresIn: response.data.expiresIn,
-        userId: response.data.localId,
+        message: cleared
+          ? "Login lockout cleared successfully"
+          : "User has no login lockout",
       });
     } catch (error) {
-      console.error(
-        "Firebase authentication error:",
-        error.response?.data || error.message
-      );
-      res.status(401).json({
+      console.error("Error clearing login lockout:", error);
+      res.status(500).json({
         success: false,
-        message: "Invalid email or password",
-        error: error.response?.data?.error?.message || error.message,
+        message: "Failed to clear login lockout",
+        error: error.message,
       });
     }
-  } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error during login",
-      error: error.message,
-    });
   }
-});
+);
 
-// User registration endpoint
-router.post("/register", authenticateUser, async (req, res) => {
-  try {
-    const { fullName, email, password, role } = req.body;
+// How long an impersonation token is honoured by authenticateUser
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES) || 15;
 
-    // Validate input
-    if (!fullName || !email || !password || !role) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields",
-      });
-    }
+// Admin-only: get an ID token that acts as another user (read-only)
+router.post(
+  "/users/:userId/impersonate",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
 
-    // Create user in Firebase Auth
-    const userRecord = await admin.auth().createUser({
-      email: email,
-      password: password,
-      displayName: fullName,
-    });
+      if (req.impersonator) {
+        return res.status(403).json({
+          success: false,
+          message: "Cannot start an impersonation while impersonating",
+        });
+      }
 
-    // Set custom claims for role
-    await admin.auth().setCustomUserClaims(userRecord.uid, {
-      role: role,
-    });
+      const callerRole = await resolveUserRole(req.user);
+      if (callerRole !== "Admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Only admins can impersonate users",
+        });
+      }
 
-    // Store additional user data in Firestore
-    await admin.firestore().collection("user_manage").doc(userRecord.uid).set({
-      uid: userRecord.uid,
-      fullName: fullName,
-      email: email,
-      role: role,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+      if (userId === req.user.uid) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot impersonate yourself",
+        });
+      }
 
-    res.status(201).json({
-      success: true,
-      message: "User created successfully",
-      user: {
-        uid: userRecord.uid,
-        fullName: fullName,
-        email: email,
-        role: role,
-      },
-    });
-  } catch (error) {
-    console.error("Error creating user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create user",
-      error: error.message,
-    });
-  }
-});
+      const userDoc = await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userId)
+        .get();
 
-// Update user endpoint
-router.put("/users/:userId", authenticateUser, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { fullName, email, role, password } = req.body;
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
 
-    // Validate input
-    if (!fullName || !email || !role) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields",
-      });
-    }
+      if (userDoc.data().role === "Admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Admins cannot be impersonated",
+        });
+      }
 
-    // Update user in Firestore
-    await admin.firestore().collection("user_manage").doc(userId).update({
-      fullName,
-      email,
-      role,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+      if (userDoc.data().archived) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot impersonate a deactivated user",
+        });
+      }
 
-    // If password is provided, update it in Firebase Auth
-    if (password) {
-      await admin.auth().updateUser(userId, {
-        password: password,
+      const expiresAt =
+        Math.floor(Date.now() / 1000) + IMPERSONATION_MINUTES * 60;
+
+      const customToken = await admin.auth().createCustomToken(userId, {
+        impersonatedBy: req.user.uid,
+        impersonatedByEmail: req.user.email || null,
+        impersonationExpiresAt: expiresAt,
       });
-    }
 
-    // Update email and displayName in Firebase Auth
-    await admin.auth().updateUser(userId, {
-      email: email,
-      displayName: fullName,
-    });
+      // Exchange it here so only the ID token leaves the server, without a
+      // refresh token that could extend the session
+      const response = await axios.post(
+        `https://identitytoolkit.googleapis.com/v1/accounts:signInWithCustomToken?key=${process.env.FIREBASE_API_KEY}`,
+        {
+          token: customToken,
+          returnSecureToken: true,
+        }
+      );
 
-    // Update custom claims for role
-    await admin.auth().setCustomUserClaims(userId, {
-      role: role,
-    });
+      await admin
+        .firestore()
+        .collection("impersonation_audit")
+        .add({
+          type: "start",
+          impersonatorUid: req.user.uid,
+          impersonatorEmail: req.user.email || null,
+          targetUid: userId,
+          targetEmail: userDoc.data().email || null,
+          reason: req.body.reason || null,
+          expiresAt: new Date(expiresAt * 1000),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
 
-    res.status(200).json({
-      success: true,
-      message: "User updated successfully",
-      user: {
-        uid: userId,
-        fullName,
-        email,
-        role,
-      },
-    });
-  } catch (error) {
-    console.error("Error updating user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update user",
-      error: error.message,
-    });
+      res.status(200).json({
+        success: true,
+        message: "Impersonation started",
+        idToken: response.data.idToken,
+        expiresAt: new Date(expiresAt * 1000),
+        user: {
+          uid: userId,
+          email: userDoc.data().email,
+          fullName: userDoc.data().fullName,
+          role: userDoc.data().role,
+        },
+      });
+    } catch (error) {
+      console.error(
+        "Error starting impersonation:",
+        error.response?.data || error
+      );
+      res.status(500).json({
+        success: false,
+        message: "Failed to start impersonation",
+        error: error.response?.data?.error?.message || error.message,
+      });
+    }
   }
-});
+);
 
-// Delete user endpoint
-router.delete("/users/:userId", authenticateUser, async (req, res) => {
-  try {
-    const { userId } = req.params;
+// Impersonation audit trail, optionally filtered by admin or target user
+router.get(
+  "/impersonation-audit",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const { impersonatorUid, targetUid } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
 
-    // Delete user from Firebase Auth
-    await admin.auth().deleteUser(userId);
+      let query = admin.firestore().collection("impersonation_audit");
+      if (impersonatorUid) {
+        query = query.where("impersonatorUid", "==", impersonatorUid);
+      }
+      if (targetUid) {
+        query = query.where("targetUid", "==", targetUid);
+      }
 
-    // Delete user from Firestore
-    await admin.firestore().collection("user_manage").doc(userId).delete();
+      // Sort here to avoid composite indexes for each filter combination
+      const snapshot = await query.get();
+      const entries = snapshot.docs
+        .map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          createdAt: doc.data().createdAt?.toDate() || null,
+          expiresAt: doc.data().expiresAt?.toDate() || null,
+        }))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .slice(0, limit);
 
-    res.status(200).json({
-      success: true,
-      message: "User deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete user",
-      error: error.message,
-    });
+      res.status(200).json({
+        success: true,
+        entries,
+      });
+    } catch (error) {
+      console.error("Error fetching impersonation audit:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch impersonation audit",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Endpoint to verify a Firebase token
 router.post("/verify-token", async (req, res) => {
@@ -209,8 +1720,8 @@ router.post("/verify-token", async (req, res) => {
       });
     }
 
-    // Verify the token
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    // Verify the token, rejecting revoked tokens and disabled users
+    const decodedToken = await admin.auth().verifyIdToken(token, true);
 
     res.status(200).json({
       success: true,
@@ -276,6 +1787,8 @@ router.get("/profile", authenticateUser, async (req, res) => {
         emailVerified: req.user.email_verified || false,
         ...userData, // Include any other fields from Firestore
       },
+      // Lets the frontend show a "viewing as" banner
+      ...(req.impersonator && { impersonator: req.impersonator }),
     });
   } catch (error) {
     console.error("Error retrieving user profile:", error);
@@ -287,42 +1800,507 @@ router.get("/profile", authenticateUser, async (req, res) => {
   }
 });
 
-// Get all users endpoint
-router.get("/users", authenticateUser, async (req, res) => {
-  try {
-    // Get all users from Firestore
-    const usersSnapshot = await admin
-      .firestore()
-      .collection("user_manage")
-      .get();
+const PROFILE_FIELDS = ["fullName", "phone", "bio", "linkedIn", "avatar"];
 
-    if (usersSnapshot.empty) {
-      return res.status(200).json({
-        success: true,
-        users: [],
+// Run the image upload for the avatar and report multer errors as JSON
+const avatarUpload = (req, res, next) =>
+  upload.single("avatar")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
       });
     }
+    next();
+  });
 
-    const users = [];
-    usersSnapshot.forEach((doc) => {
-      users.push({
-        id: doc.id,
-        ...doc.data(),
+// Update the caller's own profile (whitelisted fields only)
+router.put("/profile", authenticateUser, avatarUpload, async (req, res) => {
+  // Temporary avatar file is removed by the Cloudinary upload or below
+  const cleanupFile = () => {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  };
+
+  try {
+    const uid = req.user.uid;
+
+    const unknownFields = Object.keys(req.body).filter(
+      (key) => !PROFILE_FIELDS.includes(key)
+    );
+    if (unknownFields.length > 0) {
+      cleanupFile();
+      return res.status(400).json({
+        success: false,
+        message: `These fields can't be edited here: ${unknownFields.join(
+          ", "
+        )}`,
       });
+    }
+
+    const { fullName, phone, bio, linkedIn, avatar } = req.body;
+    const errors = [];
+
+    const textFields = { fullName, phone, bio, linkedIn };
+    Object.entries(textFields).forEach(([field, value]) => {
+      if (value !== undefined && typeof value !== "string") {
+        errors.push(`${field} must be a string`);
+      }
     });
+    if (errors.length > 0) {
+      cleanupFile();
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    if (fullName !== undefined && !fullName.trim()) {
+      errors.push("fullName cannot be empty");
+    }
+    if (fullName && fullName.trim().length > 100) {
+      errors.push("fullName must be at most 100 characters");
+    }
+    if (phone && !/^\+?[0-9 ()-]{7,20}$/.test(phone)) {
+      errors.push("phone is not a valid phone number");
+    }
+    if (bio && bio.length > 500) {
+      errors.push("bio must be at most 500 characters");
+    }
+    if (
+      linkedIn &&
+      !/^https:\/\/([a-z]{2,3}\.)?linkedin\.com\/.+/i.test(linkedIn)
+    ) {
+      errors.push("linkedIn must be a https://linkedin.com/ URL");
+    }
+    if (avatar) {
+      errors.push("avatar must be uploaded as a file, or sent empty to remove");
+    }
+
+    if (errors.length > 0) {
+      cleanupFile();
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    const userRef = admin.firestore().collection("user_manage").doc(uid);
+    const userDoc = await userRef.get();
+
+    if (!userDoc.exists) {
+      cleanupFile();
+      return res.status(404).json({
+        success: false,
+        message: "User profile not found in database",
+      });
+    }
+
+    const userData = userDoc.data();
+    const updateData = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const authUpdate = {};
+
+    if (fullName !== undefined) {
+      updateData.fullName = fullName.trim();
+      updateData.searchKeys = buildSearchKeys({
+        fullName: updateData.fullName,
+        email: userData.email,
+      });
+      authUpdate.displayName = updateData.fullName;
+    }
+    if (phone !== undefined) updateData.phone = phone.trim();
+    if (bio !== undefined) updateData.bio = bio.trim();
+    if (linkedIn !== undefined) updateData.linkedIn = linkedIn.trim();
+
+    // Upload a new avatar or remove the current one. The old image is only
+    // destroyed once the profile points at the new one.
+    const replacesAvatar = Boolean(req.file) || avatar !== undefined;
+    let uploadedPublicId = null;
+    if (req.file) {
+      const result = await uploadFileToCloudinary(req.file.path, "avatars");
+      uploadedPublicId = result.public_id;
+      updateData.photoURL = result.secure_url;
+      updateData.avatarPublicId = result.public_id;
+      authUpdate.photoURL = result.secure_url;
+    } else if (avatar !== undefined) {
+      updateData.photoURL = admin.firestore.FieldValue.delete();
+      updateData.avatarPublicId = admin.firestore.FieldValue.delete();
+      authUpdate.photoURL = null;
+    }
+
+    try {
+      await userRef.update(updateData);
+    } catch (error) {
+      if (uploadedPublicId) {
+        try {
+          await cloudinary.uploader.destroy(uploadedPublicId);
+        } catch (destroyError) {
+          console.error("Error removing unused avatar:", destroyError);
+        }
+      }
+      throw error;
+    }
+
+    if (replacesAvatar && userData.avatarPublicId) {
+      try {
+        await cloudinary.uploader.destroy(userData.avatarPublicId);
+      } catch (error) {
+        console.error("Error removing previous avatar:", error);
+      }
+    }
+
+    if (Object.keys(authUpdate).length > 0) {
+      await admin.auth().updateUser(uid, authUpdate);
+    }
+
+    // Keep copies of the name in rosters, enrollments, etc. in sync
+    let propagated = null;
+    if (updateData.fullName && updateData.fullName !== userData.fullName) {
+      propagated = await propagateUserIdentity(uid, {
+        name: updateData.fullName,
+      });
+    }
+
+    const updatedDoc = await userRef.get();
 
     res.status(200).json({
       success: true,
-      users: users,
+      message: "Profile updated successfully",
+      user: {
+        uid,
+        ...updatedDoc.data(),
+      },
+      ...(propagated && { propagated }),
     });
   } catch (error) {
-    console.error("Error fetching users:", error);
+    console.error("Error updating user profile:", error);
+    cleanupFile();
     res.status(500).json({
       success: false,
-      message: "Failed to fetch users",
+      message: "Failed to update profile",
       error: error.message,
     });
   }
 });
 
+// Export the caller's personal data
+router.get("/me/export", authenticateUser, exportMyData);
+
+// Anonymize a user's personal data everywhere it's stored
+router.post(
+  "/users/:userId/anonymize",
+  authenticateUser,
+  requirePermission("users", "delete"),
+  anonymizeUser
+);
+
+// Encode/decode opaque pagination cursors
+const encodeCursor = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+};
+
+const USER_SORT_FIELDS = ["createdAt", "fullName", "email"];
+
+// Compare two user docs on a field for in-memory sorting
+const compareUsers = (a, b, sortBy) => {
+  const valueOf = (user) => {
+    const value = user[sortBy];
+    if (value && typeof value.toMillis === "function") return value.toMillis();
+    return typeof value === "string" ? value.toLowerCase() : value ?? "";
+  };
+  const aValue = valueOf(a);
+  const bValue = valueOf(b);
+  if (aValue < bValue) return -1;
+  if (aValue > bValue) return 1;
+  return a.id.localeCompare(b.id);
+};
+
+// Fill in the sort fields and searchKeys of profiles created before every
+// signup path set them. Firestore leaves docs without the orderBy field out
+// of the paginated GET /users and docs without searchKeys out of its search,
+// so run this once before relying on either.
+router.post(
+  "/users/migrations/sort-fields",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin.firestore().collection("user_manage").get();
+      const incomplete = snapshot.docs.filter(
+        (doc) =>
+          USER_SORT_FIELDS.some((field) => doc.data()[field] == null) ||
+          !Array.isArray(doc.data().searchKeys)
+      );
+
+      // Auth has the creation time, email and display name of each account
+      const authUsers = new Map();
+      for (let i = 0; i < incomplete.length; i += 100) {
+        const result = await admin
+          .auth()
+          .getUsers(
+            incomplete.slice(i, i + 100).map((doc) => ({ uid: doc.id }))
+          );
+        result.users.forEach((user) => authUsers.set(user.uid, user));
+      }
+
+      let updated = 0;
+      for (let i = 0; i < incomplete.length; i += 450) {
+        const batch = admin.firestore().batch();
+        incomplete.slice(i, i + 450).forEach((doc) => {
+          const data = doc.data();
+          const authUser = authUsers.get(doc.id);
+          const email = data.email ?? authUser?.email ?? "";
+          const fullName = data.fullName ?? authUser?.displayName ?? email;
+          const creationTime = authUser?.metadata.creationTime;
+
+          batch.update(doc.ref, {
+            createdAt:
+              data.createdAt ??
+              (creationTime
+                ? admin.firestore.Timestamp.fromDate(new Date(creationTime))
+                : admin.firestore.Timestamp.fromMillis(0)),
+            fullName,
+            email,
+            searchKeys: buildSearchKeys({ fullName, email }),
+          });
+          updated++;
+        });
+        await batch.commit();
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "User sort fields backfilled",
+        scanned: snapshot.size,
+        updated,
+      });
+    } catch (error) {
+      console.error("Error backfilling user sort fields:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to backfill user sort fields",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get users with filters, case-insensitive prefix search on name or email
+// and sorting. Passing limit (or a cursor) switches to cursor pagination;
+// without it every matching user is returned in the original
+// { success, users } shape.
+router.get(
+  "/users",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const { role, courseId, batchId, search } = req.query;
+      const includeArchived = req.query.includeArchived === "true";
+      const sortBy = req.query.sortBy || "createdAt";
+      const order = req.query.order === "asc" ? "asc" : "desc";
+      const paginate =
+        req.query.limit !== undefined || req.query.cursor !== undefined;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      if (!USER_SORT_FIELDS.includes(sortBy)) {
+        return res.status(400).json({
+          success: false,
+          message: `sortBy must be one of: ${USER_SORT_FIELDS.join(", ")}`,
+        });
+      }
+
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid cursor",
+          });
+        }
+      }
+
+      const usersRef = admin.firestore().collection("user_manage");
+
+      const term = search ? normalizeSearchTerm(search) : "";
+
+      // Batch rosters and searches within a course are loaded whole, then
+      // filtered, sorted and counted in memory
+      if (batchId || (term && courseId)) {
+        let candidates = [];
+
+        if (batchId) {
+          const traineesDoc = await admin
+            .firestore()
+            .collection("trainees")
+            .doc(batchId)
+            .get();
+          const batchUserIds = traineesDoc.exists
+            ? (traineesDoc.data().trainees || []).map((t) => t.userId)
+            : [];
+
+          if (batchUserIds.length > 0) {
+            const userDocs = await admin
+              .firestore()
+              .getAll(...batchUserIds.map((id) => usersRef.doc(id)));
+            candidates = userDocs
+              .filter((doc) => doc.exists)
+              .map((doc) => ({ id: doc.id, ...doc.data() }));
+          }
+        } else {
+          const snapshot = await usersRef
+            .where("enrolledCourseIds", "array-contains", courseId)
+            .get();
+          candidates = snapshot.docs.map((doc) => ({
+            id: doc.id,
+            ...doc.data(),
+          }));
+        }
+
+        const matched = candidates
+          .filter((user) => includeArchived || !user.archived)
+          .filter((user) => !role || user.role === role)
+          .filter(
+            (user) =>
+              !courseId || (user.enrolledCourseIds || []).includes(courseId)
+          )
+          .filter((user) => !term || matchesSearch(user, term))
+          .sort((a, b) =>
+            order === "asc"
+              ? compareUsers(a, b, sortBy)
+              : compareUsers(b, a, sortBy)
+          );
+
+        if (!paginate) {
+          return res.status(200).json({ success: true, users: matched });
+        }
+
+        const offset = cursor?.offset || 0;
+        const users = matched.slice(offset, offset + limit);
+        const hasMore = offset + limit < matched.length;
+
+        return res.status(200).json({
+          success: true,
+          users,
+          pagination: {
+            total: matched.length,
+            limit,
+            hasMore,
+            nextCursor: hasMore
+              ? encodeCursor({ offset: offset + limit })
+              : null,
+          },
+        });
+      }
+
+      // Otherwise filter, sort and paginate in Firestore
+      let query = usersRef;
+      if (term) query = query.where("searchKeys", "array-contains", term);
+      if (role) query = query.where("role", "==", role);
+      if (courseId) {
+        query = query.where("enrolledCourseIds", "array-contains", courseId);
+      }
+
+      // Unpaginated lists are sorted in memory so users missing the sort
+      // field are still included
+      if (!paginate) {
+        const snapshot = await query.get();
+        const users = snapshot.docs
+          .map((doc) => ({ id: doc.id, ...doc.data() }))
+          .filter((user) => includeArchived || !user.archived)
+          .sort((a, b) =>
+            order === "asc"
+              ? compareUsers(a, b, sortBy)
+              : compareUsers(b, a, sortBy)
+          );
+
+        return res.status(200).json({ success: true, users });
+      }
+
+      // Firestore can't match a missing archived flag, so subtract archived users
+      const countSnapshot = await query.count().get();
+      let total = countSnapshot.data().count;
+      if (!includeArchived) {
+        const archivedCount = await query
+          .where("archived", "==", true)
+          .count()
+          .get();
+        total -= archivedCount.data().count;
+      }
+
+      query = query
+        .orderBy(sortBy, order)
+        .orderBy(admin.firestore.FieldPath.documentId(), order);
+
+      if (cursor?.id) {
+        const cursorDoc = await usersRef.doc(cursor.id).get();
+        if (!cursorDoc.exists) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid cursor",
+          });
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // Fetch until we have one extra active doc to know whether there's
+      // another page, skipping archived users on the way
+      const matchedDocs = [];
+      let exhausted = false;
+      while (matchedDocs.length <= limit && !exhausted) {
+        const snapshot = await query.limit(limit + 1).get();
+        snapshot.docs
+          .filter((doc) => includeArchived || !doc.data().archived)
+          .forEach((doc) => matchedDocs.push(doc));
+
+        exhausted = snapshot.docs.length < limit + 1;
+        if (!exhausted) {
+          query = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+        }
+      }
+
+      const pageDocs = matchedDocs.slice(0, limit);
+      const hasMore = matchedDocs.length > limit;
+
+      const users = pageDocs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+
+      res.status(200).json({
+        success: true,
+        users,
+        pagination: {
+          total,
+          limit,
+          hasMore,
+          nextCursor: hasMore
+            ? encodeCursor({ id: pageDocs[pageDocs.length - 1].id })
+            : null,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch users",
+        error: error.message,
+      });
+    }
+  }
+);
+
 export default router;
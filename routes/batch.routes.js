@@ -1,6 +1,18 @@
 import express from "express";
 import admin from "firebase-admin";
 import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
+import requireBatchAccess from "../middlewares/scope.middleware.js";
+import {
+  courseFromBatchBody,
+  batchFromDocumentSuffix,
+} from "../utils/trainerScope.js";
+import {
+  ensureCourseLessonIds,
+  listLessonIds,
+  legacyLessonKeys,
+  normalizeCompletedLessons,
+} from "../utils/courseModules.js";
 
 const router = express.Router();
 
@@ -161,357 +173,374 @@ router.get("/:batchId", authenticateUser, async (req, res) => {
 });
 
 // Create a new batch with suffix
-router.post("/", authenticateUser, async (req, res) => {
-  try {
-    const { documentId, suffix, batchDetails, batchData } = req.body;
+router.post(
+  "/",
+  authenticateUser,
+  requirePermission("batches", "create"),
+  requireBatchAccess(courseFromBatchBody),
+  async (req, res) => {
+    try {
+      const { documentId, suffix, batchDetails, batchData } = req.body;
 
-    if (!documentId || !suffix || !batchDetails || !batchData) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields",
+      if (!documentId || !suffix || !batchDetails || !batchData) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing required fields",
+        });
+      }
+
+      // Progress is keyed by lesson id, so the course needs ids first
+      await ensureCourseLessonIds(batchData.courseId);
+
+      // Fetch the course to get its modules and lessons
+      const courseRef = admin
+        .firestore()
+        .collection("courses")
+        .doc(batchData.courseId);
+      const courseDoc = await courseRef.get();
+
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      const courseData = courseDoc.data();
+      const modules = courseData.modules || [];
+
+      // Initialize completedLessons with all lessons set to false
+      const completedLessons = {};
+      listLessonIds(modules).forEach((lessonId) => {
+        completedLessons[lessonId] = false;
       });
-    }
 
-    // Fetch the course to get its modules and lessons
-    const courseRef = admin
-      .firestore()
-      .collection("courses")
-      .doc(batchData.courseId);
-    const courseDoc = await courseRef.get();
+      const docRef = admin.firestore().collection("batches").doc(documentId);
+      const docSnap = await docRef.get();
 
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      // Convert date strings to Firestore timestamps
+      const batchDetailsWithTimestamps = {
+        ...batchDetails,
+        trainingStartDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.trainingStartDate)
+        ),
+        trainingEndDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.trainingEndDate)
+        ),
+        internshipStartDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.internshipStartDate)
+        ),
+        internshipEndDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.internshipEndDate)
+        ),
+      };
+
+      // Create a display batch field name with concatenated day-month format
+      const trainingStartDateObj =
+        batchDetailsWithTimestamps.trainingStartDate.toDate();
+      const internshipEndDateObj =
+        batchDetailsWithTimestamps.internshipEndDate.toDate();
+
+      const trainingStartDay = trainingStartDateObj
+        .getDate()
+        .toString()
+        .padStart(2, "0");
+      const trainingStartMonth = (trainingStartDateObj.getMonth() + 1)
+        .toString()
+        .padStart(2, "0");
+      const internshipEndDay = internshipEndDateObj
+        .getDate()
+        .toString()
+        .padStart(2, "0");
+      const internshipEndMonth = (internshipEndDateObj.getMonth() + 1)
+        .toString()
+        .padStart(2, "0");
+
+      // Extract course abbreviation from document ID
+      const parts = documentId.split("-");
+      const courseAbbr = parts[1];
+
+      // Create the display field name using concatenated format
+      const displayBatchKey = `B-${courseAbbr}-${trainingStartDay}${trainingStartMonth}-${internshipEndDay}${internshipEndMonth}-${suffix}`;
+
+      if (docSnap.exists) {
+        // Document exists, update it with the new batch
+        await docRef.update({
+          [`${displayBatchKey}`]: {
+            suffix: suffix,
+            trainingStartDate: batchDetailsWithTimestamps.trainingStartDate,
+            trainingEndDate: batchDetailsWithTimestamps.trainingEndDate,
+            internshipStartDate: batchDetailsWithTimestamps.internshipStartDate,
+            internshipEndDate: batchDetailsWithTimestamps.internshipEndDate,
+            enrollLimit: batchDetailsWithTimestamps.enrollLimit,
+            completedLessons: completedLessons, // Automatically add initialized lessons
+          },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      } else {
+        // Document doesn't exist, create it with the batch
+        await docRef.set({
+          courseId: batchData.courseId,
+          courseName: batchData.courseName,
+          status: batchData.status,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          [`${displayBatchKey}`]: {
+            suffix: suffix,
+            trainingStartDate: batchDetailsWithTimestamps.trainingStartDate,
+            trainingEndDate: batchDetailsWithTimestamps.trainingEndDate,
+            internshipStartDate: batchDetailsWithTimestamps.internshipStartDate,
+            internshipEndDate: batchDetailsWithTimestamps.internshipEndDate,
+            enrollLimit: batchDetailsWithTimestamps.enrollLimit,
+            completedLessons: completedLessons, // Automatically add initialized lessons
+          },
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Batch created successfully",
+      });
+    } catch (error) {
+      console.error("Error creating batch:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to create batch",
+        error: error.message,
       });
     }
+  }
+);
 
-    const courseData = courseDoc.data();
-    const modules = courseData.modules || [];
+// Update a batch with specific suffix
+router.put(
+  "/:documentId/:suffix",
+  authenticateUser,
+  requirePermission("batches", "edit"),
+  requireBatchAccess(batchFromDocumentSuffix),
+  async (req, res) => {
+    try {
+      const { documentId, suffix } = req.params;
+      const { batchDetails, batchData } = req.body;
 
-    // Initialize completedLessons with all lessons set to false
-    const completedLessons = {};
-    modules.forEach((module, moduleIndex) => {
-      if (module.lessons && module.lessons.length > 0) {
-        module.lessons.forEach((lesson, lessonIndex) => {
-          const lessonKey = `${moduleIndex}-${lessonIndex}`;
-          completedLessons[lessonKey] = false;
+      if (!batchDetails) {
+        return res.status(400).json({
+          success: false,
+          message: "Missing batch details",
         });
       }
-    });
 
-    const docRef = admin.firestore().collection("batches").doc(documentId);
-    const docSnap = await docRef.get();
+      const docRef = admin.firestore().collection("batches").doc(documentId);
+      const docSnap = await docRef.get();
+
+      if (!docSnap.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch document not found",
+        });
+      }
 
-    // Convert date strings to Firestore timestamps
-    const batchDetailsWithTimestamps = {
-      ...batchDetails,
-      trainingStartDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.trainingStartDate)
-      ),
-      trainingEndDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.trainingEndDate)
-      ),
-      internshipStartDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.internshipStartDate)
-      ),
-      internshipEndDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.internshipEndDate)
-      ),
-    };
-
-    // Create a display batch field name with concatenated day-month format
-    const trainingStartDateObj =
-      batchDetailsWithTimestamps.trainingStartDate.toDate();
-    const internshipEndDateObj =
-      batchDetailsWithTimestamps.internshipEndDate.toDate();
-
-    const trainingStartDay = trainingStartDateObj
-      .getDate()
-      .toString()
-      .padStart(2, "0");
-    const trainingStartMonth = (trainingStartDateObj.getMonth() + 1)
-      .toString()
-      .padStart(2, "0");
-    const internshipEndDay = internshipEndDateObj
-      .getDate()
-      .toString()
-      .padStart(2, "0");
-    const internshipEndMonth = (internshipEndDateObj.getMonth() + 1)
-      .toString()
-      .padStart(2, "0");
-
-    // Extract course abbreviation from document ID
-    const parts = documentId.split("-");
-    const courseAbbr = parts[1];
-
-    // Create the display field name using concatenated format
-    const displayBatchKey = `B-${courseAbbr}-${trainingStartDay}${trainingStartMonth}-${internshipEndDay}${internshipEndMonth}-${suffix}`;
-
-    if (docSnap.exists) {
-      // Document exists, update it with the new batch
-      await docRef.update({
-        [`${displayBatchKey}`]: {
+      // Find the existing field name that has this suffix
+      const existingBatchData = docSnap.data();
+      let oldBatchKey = null;
+
+      Object.keys(existingBatchData).forEach((key) => {
+        if (
+          key.includes("-") &&
+          existingBatchData[key] &&
+          typeof existingBatchData[key] === "object" &&
+          existingBatchData[key].suffix === suffix
+        ) {
+          oldBatchKey = key;
+        }
+      });
+
+      if (!oldBatchKey) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch with this suffix not found",
+        });
+      }
+
+      // Convert date strings to Firestore timestamps
+      const batchDetailsWithTimestamps = {
+        ...batchDetails,
+        trainingStartDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.trainingStartDate)
+        ),
+        trainingEndDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.trainingEndDate)
+        ),
+        internshipStartDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.internshipStartDate)
+        ),
+        internshipEndDate: admin.firestore.Timestamp.fromDate(
+          new Date(batchDetails.internshipEndDate)
+        ),
+      };
+
+      // Create a new display batch field name with concatenated day-month format
+      const trainingStartDateObj =
+        batchDetailsWithTimestamps.trainingStartDate.toDate();
+      const internshipEndDateObj =
+        batchDetailsWithTimestamps.internshipEndDate.toDate();
+
+      const trainingStartDay = trainingStartDateObj
+        .getDate()
+        .toString()
+        .padStart(2, "0");
+      const trainingStartMonth = (trainingStartDateObj.getMonth() + 1)
+        .toString()
+        .padStart(2, "0");
+      const internshipEndDay = internshipEndDateObj
+        .getDate()
+        .toString()
+        .padStart(2, "0");
+      const internshipEndMonth = (internshipEndDateObj.getMonth() + 1)
+        .toString()
+        .padStart(2, "0");
+
+      // Extract course abbreviation from document ID
+      const parts = documentId.split("-");
+      const courseAbbr = parts[1];
+
+      // Create the new display field name using concatenated format
+      const newBatchKey = `B-${courseAbbr}-${trainingStartDay}${trainingStartMonth}-${internshipEndDay}${internshipEndMonth}-${suffix}`;
+
+      // Update batch data
+      const updateData = {
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      // If the field name has changed, delete the old one and add the new one
+      if (oldBatchKey !== newBatchKey) {
+        updateData[oldBatchKey] = admin.firestore.FieldValue.delete();
+        updateData[newBatchKey] = {
           suffix: suffix,
           trainingStartDate: batchDetailsWithTimestamps.trainingStartDate,
           trainingEndDate: batchDetailsWithTimestamps.trainingEndDate,
           internshipStartDate: batchDetailsWithTimestamps.internshipStartDate,
           internshipEndDate: batchDetailsWithTimestamps.internshipEndDate,
           enrollLimit: batchDetailsWithTimestamps.enrollLimit,
-          completedLessons: completedLessons, // Automatically add initialized lessons
-        },
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-    } else {
-      // Document doesn't exist, create it with the batch
-      await docRef.set({
-        courseId: batchData.courseId,
-        courseName: batchData.courseName,
-        status: batchData.status,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        [`${displayBatchKey}`]: {
+        };
+      } else {
+        // Otherwise just update the existing field
+        updateData[newBatchKey] = {
           suffix: suffix,
           trainingStartDate: batchDetailsWithTimestamps.trainingStartDate,
           trainingEndDate: batchDetailsWithTimestamps.trainingEndDate,
           internshipStartDate: batchDetailsWithTimestamps.internshipStartDate,
           internshipEndDate: batchDetailsWithTimestamps.internshipEndDate,
           enrollLimit: batchDetailsWithTimestamps.enrollLimit,
-          completedLessons: completedLessons, // Automatically add initialized lessons
-        },
-      });
-    }
-
-    res.status(201).json({
-      success: true,
-      message: "Batch created successfully",
-    });
-  } catch (error) {
-    console.error("Error creating batch:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create batch",
-      error: error.message,
-    });
-  }
-});
-
-// Update a batch with specific suffix
-router.put("/:documentId/:suffix", authenticateUser, async (req, res) => {
-  try {
-    const { documentId, suffix } = req.params;
-    const { batchDetails, batchData } = req.body;
+        };
+      }
 
-    if (!batchDetails) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing batch details",
-      });
-    }
+      // Update common batch group data if provided
+      if (batchData) {
+        if (batchData.courseId) updateData.courseId = batchData.courseId;
+        if (batchData.courseName) updateData.courseName = batchData.courseName;
+        if (batchData.status) updateData.status = batchData.status;
+      }
 
-    const docRef = admin.firestore().collection("batches").doc(documentId);
-    const docSnap = await docRef.get();
+      await docRef.update(updateData);
 
-    if (!docSnap.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Batch document not found",
+      res.status(200).json({
+        success: true,
+        message: "Batch updated successfully",
       });
-    }
-
-    // Find the existing field name that has this suffix
-    const existingBatchData = docSnap.data();
-    let oldBatchKey = null;
-
-    Object.keys(existingBatchData).forEach((key) => {
-      if (
-        key.includes("-") &&
-        existingBatchData[key] &&
-        typeof existingBatchData[key] === "object" &&
-        existingBatchData[key].suffix === suffix
-      ) {
-        oldBatchKey = key;
-      }
-    });
-
-    if (!oldBatchKey) {
-      return res.status(404).json({
+    } catch (error) {
+      console.error("Error updating batch:", error);
+      res.status(500).json({
         success: false,
-        message: "Batch with this suffix not found",
+        message: "Failed to update batch",
+        error: error.message,
       });
     }
-
-    // Convert date strings to Firestore timestamps
-    const batchDetailsWithTimestamps = {
-      ...batchDetails,
-      trainingStartDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.trainingStartDate)
-      ),
-      trainingEndDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.trainingEndDate)
-      ),
-      internshipStartDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.internshipStartDate)
-      ),
-      internshipEndDate: admin.firestore.Timestamp.fromDate(
-        new Date(batchDetails.internshipEndDate)
-      ),
-    };
-
-    // Create a new display batch field name with concatenated day-month format
-    const trainingStartDateObj =
-      batchDetailsWithTimestamps.trainingStartDate.toDate();
-    const internshipEndDateObj =
-      batchDetailsWithTimestamps.internshipEndDate.toDate();
-
-    const trainingStartDay = trainingStartDateObj
-      .getDate()
-      .toString()
-      .padStart(2, "0");
-    const trainingStartMonth = (trainingStartDateObj.getMonth() + 1)
-      .toString()
-      .padStart(2, "0");
-    const internshipEndDay = internshipEndDateObj
-      .getDate()
-      .toString()
-      .padStart(2, "0");
-    const internshipEndMonth = (internshipEndDateObj.getMonth() + 1)
-      .toString()
-      .padStart(2, "0");
-
-    // Extract course abbreviation from document ID
-    const parts = documentId.split("-");
-    const courseAbbr = parts[1];
-
-    // Create the new display field name using concatenated format
-    const newBatchKey = `B-${courseAbbr}-${trainingStartDay}${trainingStartMonth}-${internshipEndDay}${internshipEndMonth}-${suffix}`;
-
-    // Update batch data
-    const updateData = {
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // If the field name has changed, delete the old one and add the new one
-    if (oldBatchKey !== newBatchKey) {
-      updateData[oldBatchKey] = admin.firestore.FieldValue.delete();
-      updateData[newBatchKey] = {
-        suffix: suffix,
-        trainingStartDate: batchDetailsWithTimestamps.trainingStartDate,
-        trainingEndDate: batchDetailsWithTimestamps.trainingEndDate,
-        internshipStartDate: batchDetailsWithTimestamps.internshipStartDate,
-        internshipEndDate: batchDetailsWithTimestamps.internshipEndDate,
-        enrollLimit: batchDetailsWithTimestamps.enrollLimit,
-      };
-    } else {
-      // Otherwise just update the existing field
-      updateData[newBatchKey] = {
-        suffix: suffix,
-        trainingStartDate: batchDetailsWithTimestamps.trainingStartDate,
-        trainingEndDate: batchDetailsWithTimestamps.trainingEndDate,
-        internshipStartDate: batchDetailsWithTimestamps.internshipStartDate,
-        internshipEndDate: batchDetailsWithTimestamps.internshipEndDate,
-        enrollLimit: batchDetailsWithTimestamps.enrollLimit,
-      };
-    }
-
-    // Update common batch group data if provided
-    if (batchData) {
-      if (batchData.courseId) updateData.courseId = batchData.courseId;
-      if (batchData.courseName) updateData.courseName = batchData.courseName;
-      if (batchData.status) updateData.status = batchData.status;
-    }
-
-    await docRef.update(updateData);
-
-    res.status(200).json({
-      success: true,
-      message: "Batch updated successfully",
-    });
-  } catch (error) {
-    console.error("Error updating batch:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update batch",
-      error: error.message,
-    });
   }
-});
+);
 
 // Delete a batch with specific suffix
-router.delete("/:documentId/:suffix", authenticateUser, async (req, res) => {
-  try {
-    const { documentId, suffix } = req.params;
+router.delete(
+  "/:documentId/:suffix",
+  authenticateUser,
+  requirePermission("batches", "delete"),
+  requireBatchAccess(batchFromDocumentSuffix),
+  async (req, res) => {
+    try {
+      const { documentId, suffix } = req.params;
 
-    const docRef = admin.firestore().collection("batches").doc(documentId);
-    const docSnap = await docRef.get();
+      const docRef = admin.firestore().collection("batches").doc(documentId);
+      const docSnap = await docRef.get();
 
-    if (!docSnap.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Batch document not found",
+      if (!docSnap.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch document not found",
+        });
+      }
+
+      const batchData = docSnap.data();
+
+      // Find the field that corresponds to this batch suffix
+      let batchKey = null;
+      Object.keys(batchData).forEach((key) => {
+        if (
+          key.includes("-") &&
+          batchData[key] &&
+          typeof batchData[key] === "object" &&
+          batchData[key].suffix === suffix
+        ) {
+          batchKey = key;
+        }
       });
-    }
 
-    const batchData = docSnap.data();
+      if (!batchKey) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch with this suffix not found",
+        });
+      }
 
-    // Find the field that corresponds to this batch suffix
-    let batchKey = null;
-    Object.keys(batchData).forEach((key) => {
-      if (
-        key.includes("-") &&
-        batchData[key] &&
-        typeof batchData[key] === "object" &&
-        batchData[key].suffix === suffix
-      ) {
-        batchKey = key;
+      // Get all batch fields to check if this is the only batch
+      const batchFields = Object.keys(batchData).filter(
+        (key) =>
+          key.includes("-") &&
+          batchData[key] &&
+          typeof batchData[key] === "object" &&
+          batchData[key].suffix
+      );
+
+      if (batchFields.length === 1 && batchFields[0] === batchKey) {
+        // This is the only batch, delete the entire document
+        await docRef.delete();
+      } else {
+        // There are other batches, just remove this one
+        await docRef.update({
+          [batchKey]: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
       }
-    });
 
-    if (!batchKey) {
-      return res.status(404).json({
-        success: false,
-        message: "Batch with this suffix not found",
+      res.status(200).json({
+        success: true,
+        message: "Batch deleted successfully",
       });
-    }
-
-    // Get all batch fields to check if this is the only batch
-    const batchFields = Object.keys(batchData).filter(
-      (key) =>
-        key.includes("-") &&
-        batchData[key] &&
-        typeof batchData[key] === "object" &&
-        batchData[key].suffix
-    );
-
-    if (batchFields.length === 1 && batchFields[0] === batchKey) {
-      // This is the only batch, delete the entire document
-      await docRef.delete();
-    } else {
-      // There are other batches, just remove this one
-      await docRef.update({
-        [batchKey]: admin.firestore.FieldValue.delete(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    } catch (error) {
+      console.error("Error deleting batch:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete batch",
+        error: error.message,
       });
     }
-
-    res.status(200).json({
-      success: true,
-      message: "Batch deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting batch:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete batch",
-      error: error.message,
-    });
   }
-});
+);
 
 // Get completed lessons for a specific batch
 router.get(
   "/:documentId/:suffix/lessons",
   authenticateUser,
+  requireBatchAccess(batchFromDocumentSuffix, { allowEnrolled: true }),
   async (req, res) => {
     try {
       const { documentId, suffix } = req.params;
@@ -569,12 +598,14 @@ router.get(
 router.put(
   "/:documentId/:suffix/lessons",
   authenticateUser,
+  requirePermission("batches", "edit"),
+  requireBatchAccess(batchFromDocumentSuffix),
   async (req, res) => {
     try {
       const { documentId, suffix } = req.params;
-      const { completedLessons } = req.body;
+      const { completedLessons: submittedLessons } = req.body;
 
-      if (!completedLessons) {
+      if (!submittedLessons) {
         return res.status(400).json({
           success: false,
           message: "Missing completed lessons data",
@@ -613,6 +644,9 @@ router.put(
         });
       }
 
+      // Make sure the course (and this batch) use lesson ids
+      await ensureCourseLessonIds(existingBatchData.courseId);
+
       // Fetch the course to get total number of lessons
       const courseRef = admin
         .firestore()
@@ -628,24 +662,30 @@ router.put(
       }
 
       const courseData = courseDoc.data();
-      const totalLessons = courseData.modules.reduce(
-        (total, module) => total + (module.lessons?.length || 0),
-        0
+      const lessonIds = listLessonIds(courseData.modules || []);
+      const totalLessons = lessonIds.length;
+
+      // Older clients still send "moduleIndex-lessonIndex" keys
+      const { completedLessons } = normalizeCompletedLessons(
+        submittedLessons,
+        legacyLessonKeys(courseData.modules || [])
       );
 
-      // Count completed lessons
-      const completedLessonCount = Object.keys(completedLessons).filter(
-        (key) => completedLessons[key] === true
+      // Count completed lessons that still exist in the course
+      const completedLessonCount = lessonIds.filter(
+        (lessonId) => completedLessons[lessonId] === true
       ).length;
 
       // Calculate progress percentage
-      const progressPercentage = Math.round(
-        (completedLessonCount / totalLessons) * 100
-      );
+      const progressPercentage = totalLessons
+        ? Math.round((completedLessonCount / totalLessons) * 100)
+        : 0;
 
-      // Determine course status
+      // Determine course status; a course without lessons isn't completed
       const courseStatus =
-        completedLessonCount === totalLessons ? "completed" : "ongoing";
+        totalLessons > 0 && completedLessonCount === totalLessons
+          ? "completed"
+          : "ongoing";
 
       // Update batch with completed lessons
       const updateData = {
@@ -1,20 +1,65 @@
 import express from "express";
 import admin from "../config/firebase.config.js";
-import authenticateUser from "../middlewares/auth.middleware.js";
+import authenticateUser, {
+  optionalAuthenticateUser,
+} from "../middlewares/auth.middleware.js";
+import requirePermission, {
+  hasPermission,
+} from "../middlewares/permission.middleware.js";
 import { v2 as cloudinary } from "cloudinary";
 import multer from "multer";
 import fs from "fs";
 import { body, validationResult } from "express-validator";
+import {
+  getCourseDraft,
+  saveCourseDraft,
+  updateCourseDraft,
+  discardCourseDraft,
+  publishCourse,
+  listCourseRevisions,
+  getCourseRevision,
+  restoreCourseRevision,
+  destroyThumbnailIfUnused,
+  deleteCourse,
+  diffCourseContent,
+  pickCourseContent,
+} from "../utils/courseRevisions.js";
+import {
+  CATALOG_SORT_FIELDS,
+  ENROLLMENT_STATUSES,
+  getUpcomingBatches,
+  toCatalogCourse,
+  compareCatalogCourses,
+  withoutInternalFields,
+} from "../utils/courseCatalog.js";
+import {
+  searchCourses,
+  indexCourse,
+  refreshCourseSearchIndex,
+} from "../utils/courseSearch.js";
+import {
+  newModuleId,
+  newLessonId,
+  findLesson,
+  ensureCourseLessonIds,
+  countLegacyProgress,
+  withNewLessonIds,
+} from "../utils/courseModules.js";
 
 const router = express.Router();
 
 // Reuse  existing upload middleware
 const upload = multer({ dest: "uploads/" });
 
-// Get all courses
+// Get all courses. Course editors see every course with all its fields,
+// everyone else only published courses without internal fields.
 router.get("/", authenticateUser, async (req, res) => {
   try {
-    const coursesRef = admin.firestore().collection("courses");
+    const isEditor = await hasPermission(req.user, "courses", "edit");
+    let coursesRef = admin.firestore().collection("courses");
+    if (!isEditor) {
+      coursesRef = coursesRef.where("courseStatus", "==", "Published");
+    }
     const snapshot = await coursesRef.get();
 
     if (snapshot.empty) {
@@ -28,7 +73,7 @@ router.get("/", authenticateUser, async (req, res) => {
     snapshot.forEach((doc) => {
       courses.push({
         documentId: doc.id,
-        ...doc.data(),
+        ...(isEditor ? doc.data() : withoutInternalFields(doc.data())),
       });
     });
 
@@ -46,8 +91,316 @@ router.get("/", authenticateUser, async (req, res) => {
   }
 });
 
+// Draft content is only searchable by course editors
+const requireCourseEdit = requirePermission("courses", "edit");
+const requireEditForDrafts = (req, res, next) =>
+  req.query.includeDrafts === "true"
+    ? requireCourseEdit(req, res, next)
+    : next();
+
+// Search course titles, descriptions, about, outcomes, modules and lessons.
+// Results are ranked and carry highlighted snippets of what matched.
+router.get(
+  "/search",
+  authenticateUser,
+  requireEditForDrafts,
+  async (req, res) => {
+    try {
+      const q = (req.query.q || "").trim();
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+      if (!q) {
+        return res.status(400).json({
+          success: false,
+          message: "Search query (q) is required",
+        });
+      }
+
+      const results = await searchCourses(q, {
+        includeDrafts: req.query.includeDrafts === "true",
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        query: q,
+        data: results,
+      });
+    } catch (error) {
+      console.error("Error searching courses:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to search courses",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Rebuild the search index for every course (e.g. after an import)
+router.post(
+  "/search/reindex",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin.firestore().collection("courses").get();
+
+      for (const doc of snapshot.docs) {
+        await indexCourse(doc.id);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Reindexed ${snapshot.size} courses`,
+        count: snapshot.size,
+      });
+    } catch (error) {
+      console.error("Error reindexing courses:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reindex courses",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Give every course's modules and lessons permanent ids and re-key batch
+// progress from lesson positions to lesson ids. Safe to run repeatedly.
+router.post(
+  "/migrations/lesson-ids",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin.firestore().collection("courses").get();
+      const results = [];
+
+      for (const doc of snapshot.docs) {
+        // Also finishes migrations an earlier, interrupted run left pending
+        const migrated = await ensureCourseLessonIds(doc.id);
+
+        // Courses given ids before their lesson positions were recorded
+        // can't be re-keyed safely; report their batches for review
+        const courseDoc = await doc.ref.get();
+        const needsReview = courseDoc.data().lessonIdMigration
+          ? 0
+          : await countLegacyProgress(doc.id);
+
+        results.push({
+          courseId: doc.id,
+          migrated: Boolean(migrated),
+          batchesMigrated: migrated?.batchesMigrated || 0,
+          keysDropped: migrated?.keysDropped || 0,
+          ...(needsReview > 0 && { batchesNeedingReview: needsReview }),
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Migrated ${results.length} courses`,
+        data: results,
+      });
+    } catch (error) {
+      console.error("Error migrating lesson ids:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to migrate lesson ids",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Publish the courses created before the draft/publish workflow. They were
+// stored as "Draft" by default but shown to everyone, so trainees would lose
+// them, including courses they're enrolled in. Courses created or migrated
+// since have a publishedRevision field, which makes this safe to run again.
+router.post(
+  "/migrations/publish-existing",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin.firestore().collection("courses").get();
+      const legacy = snapshot.docs.filter(
+        (doc) => doc.data().publishedRevision === undefined
+      );
+
+      const published = [];
+      for (const doc of legacy) {
+        const course = doc.data();
+
+        // Give the catalog's publishedAt sort a date for them
+        await doc.ref.update({
+          courseStatus: "Published",
+          publishedRevision: null,
+          ...(!course.publishedAt && {
+            publishedAt:
+              course.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+          }),
+        });
+        await refreshCourseSearchIndex(doc.id);
+        if (course.courseStatus !== "Published") published.push(doc.id);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Published ${published.length} existing courses`,
+        scanned: snapshot.size,
+        migrated: legacy.length,
+        published,
+      });
+    } catch (error) {
+      console.error("Error publishing existing courses:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to publish existing courses",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Public catalog of published courses for the marketing site.
+// Filters: skill, minFee, maxFee, status (Open/Full/Closed enrollment).
+// Sorting: sortBy (title, course_fee, nextStartDate, publishedAt) and order.
+router.get("/catalog", async (req, res) => {
+  try {
+    const { skill, status } = req.query;
+    const sortBy = req.query.sortBy || "title";
+    const order = req.query.order === "desc" ? "desc" : "asc";
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const minFee =
+      req.query.minFee !== undefined ? parseFloat(req.query.minFee) : null;
+    const maxFee =
+      req.query.maxFee !== undefined ? parseFloat(req.query.maxFee) : null;
+
+    if (!CATALOG_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${CATALOG_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    if (Number.isNaN(minFee) || Number.isNaN(maxFee)) {
+      return res.status(400).json({
+        success: false,
+        message: "minFee and maxFee must be numbers",
+      });
+    }
+
+    const enrollmentStatus = status
+      ? ENROLLMENT_STATUSES.find(
+          (s) => s.toLowerCase() === status.toLowerCase()
+        )
+      : null;
+    if (status && !enrollmentStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ENROLLMENT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const snapshot = await admin
+      .firestore()
+      .collection("courses")
+      .where("courseStatus", "==", "Published")
+      .get();
+
+    const courseDocs = snapshot.docs.filter((doc) => {
+      const course = doc.data();
+      const fee = parseFloat(course.course_fee) || 0;
+      return (
+        (!skill ||
+          (course.skill || "").toLowerCase() === skill.toLowerCase()) &&
+        (minFee === null || fee >= minFee) &&
+        (maxFee === null || fee <= maxFee)
+      );
+    });
+
+    const batchesByCourse = await getUpcomingBatches(
+      courseDocs.map((doc) => doc.id)
+    );
+
+    const courses = courseDocs
+      .map((doc) =>
+        toCatalogCourse(doc.id, doc.data(), batchesByCourse.get(doc.id) || [], {
+          detailed: false,
+        })
+      )
+      .filter(
+        (course) =>
+          !enrollmentStatus || course.enrollmentStatus === enrollmentStatus
+      )
+      .sort((a, b) => compareCatalogCourses(a, b, sortBy, order));
+
+    // Let the marketing site and CDNs cache the catalog briefly
+    res.set("Cache-Control", "public, max-age=60");
+    res.status(200).json({
+      success: true,
+      data: courses.slice((page - 1) * limit, page * limit),
+      pagination: {
+        total: courses.length,
+        page,
+        limit,
+        totalPages: Math.ceil(courses.length / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching course catalog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch course catalog",
+      error: error.message,
+    });
+  }
+});
+
+// Public details of a published course
+router.get("/catalog/:courseId", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const courseDoc = await admin
+      .firestore()
+      .collection("courses")
+      .doc(courseId)
+      .get();
+
+    if (!courseDoc.exists || courseDoc.data().courseStatus !== "Published") {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const batchesByCourse = await getUpcomingBatches([courseId]);
+
+    res.set("Cache-Control", "public, max-age=60");
+    res.status(200).json({
+      success: true,
+      data: toCatalogCourse(
+        courseId,
+        courseDoc.data(),
+        batchesByCourse.get(courseId) || [],
+        { detailed: true }
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching catalog course:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch course",
+      error: error.message,
+    });
+  }
+});
+
 // Get course by ID
-router.get("/:courseId", async (req, res) => {
+router.get("/:courseId", optionalAuthenticateUser, async (req, res) => {
   try {
     const { courseId } = req.params;
     const courseDoc = await admin
@@ -56,7 +409,12 @@ router.get("/:courseId", async (req, res) => {
       .doc(courseId)
       .get();
 
-    if (!courseDoc.exists) {
+    // Unpublished courses only exist for course editors
+    const isEditor = await hasPermission(req.user, "courses", "edit");
+    if (
+      !courseDoc.exists ||
+      (!isEditor && courseDoc.data().courseStatus !== "Published")
+    ) {
       return res.status(404).json({
         success: false,
         message: "Course not found",
@@ -67,7 +425,9 @@ router.get("/:courseId", async (req, res) => {
       success: true,
       data: {
         documentId: courseDoc.id,
-        ...courseDoc.data(),
+        ...(isEditor
+          ? courseDoc.data()
+          : withoutInternalFields(courseDoc.data())),
       },
     });
   } catch (error) {
@@ -84,6 +444,7 @@ router.get("/:courseId", async (req, res) => {
 router.post(
   "/",
   authenticateUser,
+  requirePermission("courses", "create"),
   upload.single("files.thumbnail"),
   async (req, res) => {
     try {
@@ -97,7 +458,9 @@ router.post(
       const newCourse = {
         title: courseData.title || "",
         instructor: courseData.instructor || "",
-        courseStatus: courseData.courseStatus || "Draft",
+        // New courses stay hidden until they are published
+        courseStatus: "Draft",
+        publishedRevision: null,
         skill: courseData.skill || "",
         course_fee: parseFloat(courseData.course_fee) || 0,
         description: courseData.description || "",
@@ -142,6 +505,8 @@ router.post(
         .collection("courses")
         .add(newCourse);
 
+      await refreshCourseSearchIndex(courseRef.id);
+
       // Get the new document
       const courseDoc = await courseRef.get();
 
@@ -170,10 +535,185 @@ router.post(
   }
 );
 
+// Sections that can be copied when cloning a course
+const CLONE_SECTIONS = [
+  "description",
+  "about",
+  "outcomes",
+  "course_info",
+  "modules",
+];
+
+// Clone a course as a new Draft, e.g. a weekend variant of a course.
+// Body options: title, course_fee, sections (defaults to all of
+// CLONE_SECTIONS), copyThumbnail (boolean, default true), fromDraft
+// (boolean, copy unpublished edits instead of the live course). Cloned
+// modules and lessons get new ids.
+router.post(
+  "/:courseId/clone",
+  authenticateUser,
+  requirePermission("courses", "create"),
+  async (req, res) => {
+    let uploadedThumbnail = null;
+
+    try {
+      const { courseId } = req.params;
+      const {
+        title,
+        course_fee,
+        sections = CLONE_SECTIONS,
+        copyThumbnail = true,
+        fromDraft = false,
+      } = req.body || {};
+
+      if (
+        !Array.isArray(sections) ||
+        sections.some((section) => !CLONE_SECTIONS.includes(section))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `sections must be a list of: ${CLONE_SECTIONS.join(", ")}`,
+        });
+      }
+
+      if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: "title must be a non-empty string",
+        });
+      }
+
+      const fee = course_fee !== undefined ? parseFloat(course_fee) : null;
+      if (Number.isNaN(fee) || fee < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "course_fee must be a non-negative number",
+        });
+      }
+
+      if (
+        typeof copyThumbnail !== "boolean" ||
+        typeof fromDraft !== "boolean"
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "copyThumbnail and fromDraft must be true or false",
+        });
+      }
+
+      const source = fromDraft
+        ? await getCourseDraft(courseId)
+        : await admin
+            .firestore()
+            .collection("courses")
+            .doc(courseId)
+            .get()
+            .then((doc) => (doc.exists ? doc.data() : null));
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      const user = req.user || {};
+      const newCourse = {
+        title: title ? title.trim() : `${source.title || "Untitled"} (Copy)`,
+        instructor: source.instructor || "",
+        skill: source.skill || "",
+        course_fee: fee !== null ? fee : parseFloat(source.course_fee) || 0,
+        // Clones start hidden and without the original's testimonials
+        courseStatus: "Draft",
+        publishedRevision: null,
+        testimonials: [],
+        clonedFrom: {
+          courseId,
+          revision: fromDraft ? null : source.publishedRevision || null,
+        },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: {
+          uid: user.uid || null,
+          email: user.email || null,
+          ...(user.role && { role: user.role }),
+        },
+      };
+
+      sections.forEach((section) => {
+        if (source[section] !== undefined) {
+          newCourse[section] = source[section];
+        }
+      });
+      if (Array.isArray(newCourse.modules)) {
+        newCourse.modules = withNewLessonIds(newCourse.modules);
+      }
+
+      // The clone gets its own Cloudinary asset so deleting either course
+      // doesn't break the other's thumbnail
+      if (copyThumbnail && source.thumbnail?.url) {
+        const result = await cloudinary.uploader.upload(source.thumbnail.url, {
+          folder: "course_thumbnails",
+        });
+        uploadedThumbnail = result.public_id;
+
+        newCourse.thumbnail = {
+          public_id: result.public_id,
+          url: result.secure_url,
+          formats: {
+            thumbnail: {
+              url: result.secure_url,
+            },
+            large: {
+              url: result.secure_url,
+            },
+          },
+        };
+      }
+
+      const courseRef = await admin
+        .firestore()
+        .collection("courses")
+        .add(newCourse);
+
+      await refreshCourseSearchIndex(courseRef.id);
+
+      const courseDoc = await courseRef.get();
+
+      res.status(201).json({
+        success: true,
+        message: "Course cloned successfully",
+        data: {
+          documentId: courseDoc.id,
+          ...courseDoc.data(),
+        },
+      });
+    } catch (error) {
+      console.error("Error cloning course:", error);
+
+      // Don't leave an orphaned thumbnail behind
+      if (uploadedThumbnail) {
+        await cloudinary.uploader
+          .destroy(uploadedThumbnail)
+          .catch((destroyError) =>
+            console.error("Error removing cloned thumbnail:", destroyError)
+          );
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to clone course",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Update a course
 router.put(
   "/:courseId",
   authenticateUser,
+  requirePermission("courses", "edit"),
   upload.single("files.thumbnail"),
   async (req, res) => {
     try {
@@ -194,15 +734,11 @@ router.put(
 
       // Parse the course data from the request body
       const courseData = JSON.parse(req.body.data);
+      const previousThumbnail = (await getCourseDraft(courseId)).thumbnail;
 
-      // Add thumbnail data if a new image was uploaded
+      // Add thumbnail data if a new image was uploaded. The old image is
+      // only removed once neither the live course nor a revision uses it.
       if (req.file) {
-        // If there's an existing thumbnail, delete it from Cloudinary
-        const existingData = courseDoc.data();
-        if (existingData.thumbnail && existingData.thumbnail.public_id) {
-          await cloudinary.uploader.destroy(existingData.thumbnail.public_id);
-        }
-
         // Upload new thumbnail to Cloudinary
         const result = await cloudinary.uploader.upload(req.file.path, {
           folder: "course_thumbnails",
@@ -238,27 +774,30 @@ router.put(
         };
       }
 
-      // Update in Firestore
-      await admin
-        .firestore()
-        .collection("courses")
-        .doc(courseId)
-        .update(courseData);
+      // Edits go into the draft; the live course changes on publish.
+      // courseStatus is only changed through publish/unpublish.
+      let draft;
+      try {
+        draft = await saveCourseDraft(
+          courseId,
+          courseData,
+          courseData.updatedBy
+        );
+      } catch (error) {
+        if (req.file) {
+          await destroyThumbnailIfUnused(courseId, courseData.thumbnail);
+        }
+        throw error;
+      }
 
-      // Get the updated document
-      const updatedDoc = await admin
-        .firestore()
-        .collection("courses")
-        .doc(courseId)
-        .get();
+      if (req.file) {
+        await destroyThumbnailIfUnused(courseId, previousThumbnail);
+      }
 
       res.status(200).json({
         success: true,
         message: "Course updated successfully",
-        data: {
-          documentId: updatedDoc.id,
-          ...updatedDoc.data(),
-        },
+        data: draft,
       });
     } catch (error) {
       console.error("Error updating course:", error);
@@ -278,50 +817,50 @@ router.put(
 );
 
 // Delete a course
-router.delete("/:courseId", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
+router.delete(
+  "/:courseId",
+  authenticateUser,
+  requirePermission("courses", "delete"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
 
-    // Check if course exists and get its data
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      // Check if course exists and get its data
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Removes the draft, the revision history and all their thumbnails
+      await deleteCourse(courseId);
+
+      res.status(200).json({
+        success: true,
+        message: "Course deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting course:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to delete course",
+        error: error.message,
       });
     }
-
-    // Delete thumbnail from Cloudinary if it exists
-    const courseData = courseDoc.data();
-    if (courseData.thumbnail && courseData.thumbnail.public_id) {
-      await cloudinary.uploader.destroy(courseData.thumbnail.public_id);
-    }
-
-    // Delete from Firestore
-    await admin.firestore().collection("courses").doc(courseId).delete();
-
-    res.status(200).json({
-      success: true,
-      message: "Course deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting course:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete course",
-      error: error.message,
-    });
   }
-});
+);
 
 // Upload endpoint for course images
 router.post(
   "/upload",
   authenticateUser,
+  requirePermission("courses", "edit"),
   upload.single("files"),
   async (req, res) => {
     try {
@@ -379,6 +918,7 @@ router.post(
 router.put(
   "/:courseId/sections",
   authenticateUser,
+  requirePermission("courses", "edit"),
   [
     // Validate the section type
     body("sectionType")
@@ -431,27 +971,17 @@ router.put(
         };
       }
 
-      // Update the course
-      await admin
-        .firestore()
-        .collection("courses")
-        .doc(courseId)
-        .update(updateData);
-
-      // Get the updated document
-      const updatedDoc = await admin
-        .firestore()
-        .collection("courses")
-        .doc(courseId)
-        .get();
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
       res.status(200).json({
         success: true,
         message: `Course ${sectionType} updated successfully`,
-        data: {
-          documentId: updatedDoc.id,
-          ...updatedDoc.data(),
-        },
+        data: draft,
       });
     } catch (error) {
       console.error(`Error updating course section:`, error);
@@ -465,339 +995,320 @@ router.put(
 );
 
 // Add a specific endpoint for the about section
-router.put("/:courseId/about", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-    const { about } = req.body;
-
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Course not found",
-      });
-    }
+router.put(
+  "/:courseId/about",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { about } = req.body;
 
-    // Validate about data
-    if (!about) {
-      return res.status(400).json({
-        success: false,
-        message: "About data is required",
-      });
-    }
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    // Parse about data if it's a string
-    let aboutData = about;
-    if (typeof about === "string") {
-      try {
-        aboutData = JSON.parse(about);
-      } catch (e) {
+      // Validate about data
+      if (!about) {
         return res.status(400).json({
           success: false,
-          message: "Invalid about data format",
-          error: e.message,
+          message: "About data is required",
         });
       }
-    }
 
-    // Create update object
-    const updateData = {
-      about: aboutData,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      // Parse about data if it's a string
+      let aboutData = about;
+      if (typeof about === "string") {
+        try {
+          aboutData = JSON.parse(about);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid about data format",
+            error: e.message,
+          });
+        }
+      }
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
+      // Create update object
+      const updateData = {
+        about: aboutData,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       };
-    }
-
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
-
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
 
-    res.status(200).json({
-      success: true,
-      message: "Course about section updated successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error updating course about section:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update course about section",
-      error: error.message,
-    });
-  }
-});
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
 
-// Update course description
-router.put("/:courseId/description", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-    const { description } = req.body;
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        message: "Course about section updated successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error updating course about section:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to update course about section",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Create update object
-    const updateData = {
-      description: description || "",
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
-      };
-    }
+// Update course description
+router.put(
+  "/:courseId/description",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { description } = req.body;
 
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      // Create update object
+      const updateData = {
+        description: description || "",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
 
-    res.status(200).json({
-      success: true,
-      message: "Course description updated successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error updating course description:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update course description",
-      error: error.message,
-    });
-  }
-});
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
 
-// Add a specific endpoint for the outcomes section
-router.put("/:courseId/outcomes", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-    const { outcomes } = req.body;
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Course not found",
+      res.status(200).json({
+        success: true,
+        message: "Course description updated successfully",
+        data: draft,
       });
-    }
-
-    // Validate outcomes data
-    if (!outcomes) {
-      return res.status(400).json({
+    } catch (error) {
+      console.error("Error updating course description:", error);
+      res.status(500).json({
         success: false,
-        message: "Outcomes data is required",
+        message: "Failed to update course description",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Parse outcomes data if it's a string
-    let outcomesData = outcomes;
-    if (typeof outcomes === "string") {
-      try {
-        outcomesData = JSON.parse(outcomes);
-      } catch (e) {
-        return res.status(400).json({
+// Add a specific endpoint for the outcomes section
+router.put(
+  "/:courseId/outcomes",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { outcomes } = req.body;
+
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
           success: false,
-          message: "Invalid outcomes data format",
-          error: e.message,
+          message: "Course not found",
         });
       }
-    }
 
-    // Create update object
-    const updateData = {
-      outcomes: outcomesData,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      // Validate outcomes data
+      if (!outcomes) {
+        return res.status(400).json({
+          success: false,
+          message: "Outcomes data is required",
+        });
+      }
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
-      };
-    }
-
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+      // Parse outcomes data if it's a string
+      let outcomesData = outcomes;
+      if (typeof outcomes === "string") {
+        try {
+          outcomesData = JSON.parse(outcomes);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid outcomes data format",
+            error: e.message,
+          });
+        }
+      }
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      // Create update object
+      const updateData = {
+        outcomes: outcomesData,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
 
-    res.status(200).json({
-      success: true,
-      message: "Course outcomes updated successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error updating course outcomes:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update course outcomes",
-      error: error.message,
-    });
-  }
-});
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
 
-// Add a specific endpoint for the course_info section
-router.put("/:courseId/course_info", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-    const { course_info } = req.body;
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Course not found",
+      res.status(200).json({
+        success: true,
+        message: "Course outcomes updated successfully",
+        data: draft,
       });
-    }
-
-    // Validate course_info data
-    if (!course_info) {
-      return res.status(400).json({
+    } catch (error) {
+      console.error("Error updating course outcomes:", error);
+      res.status(500).json({
         success: false,
-        message: "Course info data is required",
+        message: "Failed to update course outcomes",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Parse course_info data if it's a string
-    let courseInfoData = course_info;
-    if (typeof course_info === "string") {
-      try {
-        courseInfoData = JSON.parse(course_info);
-      } catch (e) {
+// Add a specific endpoint for the course_info section
+router.put(
+  "/:courseId/course_info",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { course_info } = req.body;
+
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Validate course_info data
+      if (!course_info) {
         return res.status(400).json({
           success: false,
-          message: "Invalid course info data format",
-          error: e.message,
+          message: "Course info data is required",
         });
       }
-    }
 
-    // Create update object
-    const updateData = {
-      course_info: courseInfoData,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      // Parse course_info data if it's a string
+      let courseInfoData = course_info;
+      if (typeof course_info === "string") {
+        try {
+          courseInfoData = JSON.parse(course_info);
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid course info data format",
+            error: e.message,
+          });
+        }
+      }
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
+      // Create update object
+      const updateData = {
+        course_info: courseInfoData,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       };
-    }
 
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
-    res.status(200).json({
-      success: true,
-      message: "Course info updated successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error updating course info:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update course info",
-      error: error.message,
-    });
+      res.status(200).json({
+        success: true,
+        message: "Course info updated successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error updating course info:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update course info",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Delete a specific section of a course
 router.delete(
   "/:courseId/sections/:sectionType",
   authenticateUser,
+  requirePermission("courses", "edit"),
   async (req, res) => {
     try {
       const { courseId, sectionType } = req.params;
@@ -869,27 +1380,17 @@ router.delete(
         };
       }
 
-      // Update the course
-      await admin
-        .firestore()
-        .collection("courses")
-        .doc(courseId)
-        .update(updateData);
-
-      // Get the updated document
-      const updatedDoc = await admin
-        .firestore()
-        .collection("courses")
-        .doc(courseId)
-        .get();
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
       res.status(200).json({
         success: true,
         message: `Course ${sectionType} deleted successfully`,
-        data: {
-          documentId: updatedDoc.id,
-          ...updatedDoc.data(),
-        },
+        data: draft,
       });
     } catch (error) {
       console.error(`Error deleting course section:`, error);
@@ -904,448 +1405,1245 @@ router.delete(
 
 // Specific endpoints for deleting individual sections
 // Delete course description
-router.delete("/:courseId/description", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Course not found",
-      });
-    }
+router.delete(
+  "/:courseId/description",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
 
-    // Create update object
-    const updateData = {
-      description: "",
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
+      // Create update object
+      const updateData = {
+        description: "",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       };
-    }
-
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
-
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
 
-    res.status(200).json({
-      success: true,
-      message: "Course description deleted successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error deleting course description:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete course description",
-      error: error.message,
-    });
-  }
-});
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
 
-// Delete course about section
-router.delete("/:courseId/about", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        message: "Course description deleted successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error deleting course description:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to delete course description",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Create update object
-    const updateData = {
-      about: { paragraphs: [] },
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+// Delete course about section
+router.delete(
+  "/:courseId/about",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
+      // Create update object
+      const updateData = {
+        about: { paragraphs: [] },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       };
-    }
 
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
 
-    res.status(200).json({
-      success: true,
-      message: "Course about section deleted successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error deleting course about section:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete course about section",
-      error: error.message,
-    });
+      res.status(200).json({
+        success: true,
+        message: "Course about section deleted successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error deleting course about section:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete course about section",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // Delete course outcomes section
-router.delete("/:courseId/outcomes", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
+router.delete(
+  "/:courseId/outcomes",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Create update object
+      const updateData = {
+        outcomes: { intro: "", items: [] },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
+
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Course outcomes deleted successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error deleting course outcomes:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to delete course outcomes",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Create update object
-    const updateData = {
-      outcomes: { intro: "", items: [] },
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+// Delete course_info section
+router.delete(
+  "/:courseId/course_info",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Create update object with empty course_info
+      const updateData = {
+        course_info: {
+          months: "",
+          weeklyHours: "",
+          schedule: "",
+          pace: "",
+          credential: "",
+        },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
+
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Course info deleted successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error deleting course info:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete course info",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update course modules
+router.put(
+  "/:courseId/modules",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { modules } = req.body; // Extract modules from the request body
+
+      // Validate modules data
+      if (!modules || !Array.isArray(modules)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid modules data. Modules must be an array.",
+        });
+      }
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Add updater info
+      const updateData = {
+        modules: modules,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       };
+
+      // Add user info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
+
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Course modules updated successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error updating course modules:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update course modules",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+// Delete course modules
+router.delete(
+  "/:courseId/modules",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      // Check if course exists
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Create update object with empty modules array
+      const updateData = {
+        modules: [],
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      // Add updater info if available
+      if (req.user) {
+        updateData.updatedBy = {
+          uid: req.user.uid,
+          email: req.user.email,
+          ...(req.user.role && { role: req.user.role }),
+        };
+      }
+
+      // Edits go into the draft; the live course changes on publish
+      const draft = await saveCourseDraft(
+        courseId,
+        updateData,
+        updateData.updatedBy
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Course modules deleted successfully",
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error deleting course modules:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete course modules",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get course modules
+router.get("/:courseId/modules", authenticateUser, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const courseRef = admin.firestore().collection("courses").doc(courseId);
+    const courseDoc = await courseRef.get();
+
+    if (!courseDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const courseData = courseDoc.data();
 
+    // Return the modules data if it exists
     res.status(200).json({
       success: true,
-      message: "Course outcomes deleted successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
+      data: courseData.modules || [],
     });
   } catch (error) {
-    console.error("Error deleting course outcomes:", error);
+    console.error("Error getting course modules:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to delete course outcomes",
+      message: "Failed to get course modules",
       error: error.message,
     });
   }
 });
 
-// Delete course_info section
-router.delete("/:courseId/course_info", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
+const getUpdater = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  ...(user.role && { role: user.role }),
+});
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+// Module and lesson editing. Every module and lesson has a permanent id
+// (see utils/courseModules.js) and changes go into the course draft.
+
+// Copy modules deep enough that changes don't touch the draft we were given
+const copyModules = (modules = []) =>
+  modules.map((module) => ({
+    ...module,
+    lessons: [...(module.lessons || [])],
+  }));
+
+// Read an optional insert position, defaulting to the end of the list.
+// Returns null for an invalid value.
+const parsePosition = (position, length) => {
+  if (position === undefined || position === null) return length;
+  const value = Number(position);
+  return Number.isInteger(value) && value >= 0 ? Math.min(value, length) : null;
+};
+
+// Whether ids is exactly a reordering of the items' ids
+const isPermutation = (ids, items) =>
+  Array.isArray(ids) &&
+  ids.length === items.length &&
+  new Set(ids).size === ids.length &&
+  items.every((item) => ids.includes(item.id));
+
+const notFound = (message) => ({ status: 404, error: message });
+const badRequest = (message) => ({ status: 400, error: message });
+
+// Run change(modules) against a copy of the draft modules and save them.
+// change returns { item } to report back, or { status, error } to abort.
+const editDraftModules = async (req, res, change, message) => {
+  let item = null;
+
+  const result = await updateCourseDraft(
+    req.params.courseId,
+    (content) => {
+      const modules = copyModules(content.modules);
+      const outcome = change(modules);
+      if (outcome.error) return outcome;
+
+      item = outcome.item || null;
+      return { modules };
+    },
+    getUpdater(req.user)
+  );
+
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      message: result.error,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: item,
+    modules: result.draft.modules || [],
+  });
+};
+
+const validateTitle = (title, required) => {
+  if (title === undefined && !required) return null;
+  return typeof title === "string" && title.trim()
+    ? null
+    : badRequest("title must be a non-empty string");
+};
+
+// Add a module, optionally with lessons and at a position
+router.post(
+  "/:courseId/modules",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { id, lessons = [], position, ...fields } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const titleError = validateTitle(fields.title, true);
+          if (titleError) return titleError;
+          if (!Array.isArray(lessons)) {
+            return badRequest("lessons must be an array");
+          }
+          if (lessons.some((lesson) => validateTitle(lesson?.title, true))) {
+            return badRequest("Every lesson needs a title");
+          }
+
+          const index = parsePosition(position, modules.length);
+          if (index === null) return badRequest("Invalid position");
+
+          const module = {
+            ...fields,
+            id: newModuleId(),
+            lessons: lessons.map(({ id: lessonId, ...lesson }) => ({
+              ...lesson,
+              id: newLessonId(),
+            })),
+          };
+          modules.splice(index, 0, module);
+          return { item: module };
+        },
+        "Module added successfully"
+      );
+    } catch (error) {
+      console.error("Error adding course module:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add course module",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reorder modules: body { moduleIds } lists every module id in the new order
+router.post(
+  "/:courseId/modules/reorder",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { moduleIds } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          if (!isPermutation(moduleIds, modules)) {
+            return badRequest("moduleIds must list every module exactly once");
+          }
+
+          modules.sort(
+            (a, b) => moduleIds.indexOf(a.id) - moduleIds.indexOf(b.id)
+          );
+          return {};
+        },
+        "Modules reordered successfully"
+      );
+    } catch (error) {
+      console.error("Error reordering course modules:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reorder course modules",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update a module's fields (lessons are edited through the lesson endpoints)
+router.put(
+  "/:courseId/modules/:moduleId",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { moduleId } = req.params;
+      const { id, lessons, ...fields } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const index = modules.findIndex((module) => module.id === moduleId);
+          if (index === -1) return notFound("Module not found");
+
+          const titleError = validateTitle(fields.title, false);
+          if (titleError) return titleError;
+
+          modules[index] = { ...modules[index], ...fields };
+          return { item: modules[index] };
+        },
+        "Module updated successfully"
+      );
+    } catch (error) {
+      console.error("Error updating course module:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update course module",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete a module and its lessons
+router.delete(
+  "/:courseId/modules/:moduleId",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { moduleId } = req.params;
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const index = modules.findIndex((module) => module.id === moduleId);
+          if (index === -1) return notFound("Module not found");
+
+          const [removed] = modules.splice(index, 1);
+          return { item: removed };
+        },
+        "Module deleted successfully"
+      );
+    } catch (error) {
+      console.error("Error deleting course module:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete course module",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Add a lesson to a module, optionally at a position
+router.post(
+  "/:courseId/modules/:moduleId/lessons",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { moduleId } = req.params;
+      const { id, position, ...fields } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const module = modules.find((module) => module.id === moduleId);
+          if (!module) return notFound("Module not found");
+
+          const titleError = validateTitle(fields.title, true);
+          if (titleError) return titleError;
+
+          const index = parsePosition(position, module.lessons.length);
+          if (index === null) return badRequest("Invalid position");
+
+          const lesson = { ...fields, id: newLessonId() };
+          module.lessons.splice(index, 0, lesson);
+          return { item: lesson };
+        },
+        "Lesson added successfully"
+      );
+    } catch (error) {
+      console.error("Error adding lesson:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add lesson",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reorder a module's lessons: body { lessonIds } in the new order
+router.post(
+  "/:courseId/modules/:moduleId/lessons/reorder",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { moduleId } = req.params;
+      const { lessonIds } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const module = modules.find((module) => module.id === moduleId);
+          if (!module) return notFound("Module not found");
+
+          if (!isPermutation(lessonIds, module.lessons)) {
+            return badRequest(
+              "lessonIds must list every lesson of the module exactly once"
+            );
+          }
+
+          module.lessons.sort(
+            (a, b) => lessonIds.indexOf(a.id) - lessonIds.indexOf(b.id)
+          );
+          return {};
+        },
+        "Lessons reordered successfully"
+      );
+    } catch (error) {
+      console.error("Error reordering lessons:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reorder lessons",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update a lesson's fields
+router.put(
+  "/:courseId/lessons/:lessonId",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.params;
+      const { id, ...fields } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const location = findLesson(modules, lessonId);
+          if (!location) return notFound("Lesson not found");
+
+          const titleError = validateTitle(fields.title, false);
+          if (titleError) return titleError;
+
+          const { lessons } = modules[location.moduleIndex];
+          lessons[location.lessonIndex] = {
+            ...lessons[location.lessonIndex],
+            ...fields,
+          };
+          return { item: lessons[location.lessonIndex] };
+        },
+        "Lesson updated successfully"
+      );
+    } catch (error) {
+      console.error("Error updating lesson:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update lesson",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete a lesson
+router.delete(
+  "/:courseId/lessons/:lessonId",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.params;
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const location = findLesson(modules, lessonId);
+          if (!location) return notFound("Lesson not found");
+
+          const [removed] = modules[location.moduleIndex].lessons.splice(
+            location.lessonIndex,
+            1
+          );
+          return { item: removed };
+        },
+        "Lesson deleted successfully"
+      );
+    } catch (error) {
+      console.error("Error deleting lesson:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete lesson",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Move a lesson to another module (or position): body { moduleId, position }
+router.post(
+  "/:courseId/lessons/:lessonId/move",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.params;
+      const { moduleId, position } = req.body || {};
+
+      await editDraftModules(
+        req,
+        res,
+        (modules) => {
+          const location = findLesson(modules, lessonId);
+          if (!location) return notFound("Lesson not found");
+
+          const target = modules.find((module) => module.id === moduleId);
+          if (!target) return notFound("Target module not found");
+
+          const [lesson] = modules[location.moduleIndex].lessons.splice(
+            location.lessonIndex,
+            1
+          );
+          const index = parsePosition(position, target.lessons.length);
+          if (index === null) return badRequest("Invalid position");
+
+          target.lessons.splice(index, 0, lesson);
+          return { item: lesson };
+        },
+        "Lesson moved successfully"
+      );
+    } catch (error) {
+      console.error("Error moving lesson:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to move lesson",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Resolve a diff side: a revision number, "draft" or "live"
+const getDiffSide = async (courseId, side) => {
+  if (side === "draft" || side === "live") {
+    const course =
+      side === "draft"
+        ? await getCourseDraft(courseId)
+        : await admin
+            .firestore()
+            .collection("courses")
+            .doc(courseId)
+            .get()
+            .then((doc) => (doc.exists ? doc.data() : null));
+    return course ? pickCourseContent(course) : null;
+  }
+
+  const revision = await getCourseRevision(courseId, side);
+  return revision ? revision.content : null;
+};
+
+// Get the draft of a course (live content overlaid with unpublished edits)
+router.get(
+  "/:courseId/draft",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const draft = await getCourseDraft(req.params.courseId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: draft,
+      });
+    } catch (error) {
+      console.error("Error fetching course draft:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch course draft",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Throw away unpublished edits
+router.delete(
+  "/:courseId/draft",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      const draft = await getCourseDraft(courseId);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      if (!draft.hasUnpublishedChanges) {
+        return res.status(404).json({
+          success: false,
+          message: "Course has no unpublished changes",
+        });
+      }
+
+      await discardCourseDraft(courseId);
+
+      res.status(200).json({
+        success: true,
+        message: "Course draft discarded successfully",
+      });
+    } catch (error) {
+      console.error("Error discarding course draft:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to discard course draft",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Publish the draft: it becomes the live course and the next revision
+router.post(
+  "/:courseId/publish",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      const result = await publishCourse(
+        courseId,
+        getUpdater(req.user),
+        req.body?.note
+      );
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+
+      res.status(200).json({
+        success: true,
+        message: `Course published as revision ${result.revision}`,
+        revision: result.revision,
+        data: {
+          documentId: courseDoc.id,
+          ...courseDoc.data(),
+        },
+      });
+    } catch (error) {
+      console.error("Error publishing course:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to publish course",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Create update object with empty course_info
-    const updateData = {
-      course_info: {
-        months: "",
-        weeklyHours: "",
-        schedule: "",
-        pace: "",
-        credential: "",
-      },
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
-      };
-    }
-
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+// Take a course back to Draft, hiding it until it is published again
+router.post(
+  "/:courseId/unpublish",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      const courseRef = admin.firestore().collection("courses").doc(courseId);
+      const courseDoc = await courseRef.get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      message: "Course info deleted successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error deleting course info:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete course info",
-      error: error.message,
-    });
-  }
-});
+      if (courseDoc.data().courseStatus !== "Published") {
+        return res.status(409).json({
+          success: false,
+          message: "Course is not published",
+        });
+      }
 
-// Update course modules
-router.put("/:courseId/modules", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-    const { modules } = req.body; // Extract modules from the request body
+      await courseRef.update({
+        courseStatus: "Draft",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: getUpdater(req.user),
+      });
+      await refreshCourseSearchIndex(courseId);
 
-    // Validate modules data
-    if (!modules || !Array.isArray(modules)) {
-      return res.status(400).json({
+      res.status(200).json({
+        success: true,
+        message: "Course unpublished successfully",
+      });
+    } catch (error) {
+      console.error("Error unpublishing course:", error);
+      res.status(500).json({
         success: false,
-        message: "Invalid modules data. Modules must be an array.",
+        message: "Failed to unpublish course",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+// List published revisions, newest first
+router.get(
+  "/:courseId/revisions",
+  authenticateUser,
+  requirePermission("courses", "view"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-    if (!courseDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Course not found",
-      });
-    }
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    // Add updater info
-    const updateData = {
-      modules: modules,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      const revisions = await listCourseRevisions(courseId, limit);
 
-    // Add user info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
-      };
+      res.status(200).json({
+        success: true,
+        publishedRevision: courseDoc.data().publishedRevision || null,
+        hasUnpublishedChanges: courseDoc.data().hasUnpublishedChanges === true,
+        data: revisions,
+      });
+    } catch (error) {
+      console.error("Error fetching course revisions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch course revisions",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+// Compare two versions of a course. from/to are revision numbers,
+// "draft" or "live"; to defaults to the draft.
+router.get(
+  "/:courseId/revisions/diff",
+  authenticateUser,
+  requirePermission("courses", "view"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { from, to = "draft" } = req.query;
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      if (!from) {
+        return res.status(400).json({
+          success: false,
+          message: "from is required",
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      message: "Course modules updated successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error updating course modules:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update course modules",
-      error: error.message,
-    });
-  }
-});
+      const [before, after] = await Promise.all([
+        getDiffSide(courseId, from),
+        getDiffSide(courseId, to),
+      ]);
 
-// Delete course modules
-router.delete("/:courseId/modules", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
+      if (!before || !after) {
+        return res.status(404).json({
+          success: false,
+          message: `Revision ${before ? to : from} not found`,
+        });
+      }
 
-    // Check if course exists
-    const courseDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        from,
+        to,
+        data: diffCourseContent(before, after),
+      });
+    } catch (error) {
+      console.error("Error comparing course revisions:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to compare course revisions",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Create update object with empty modules array
-    const updateData = {
-      modules: [],
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+// Get one revision with its content
+router.get(
+  "/:courseId/revisions/:revision",
+  authenticateUser,
+  requirePermission("courses", "view"),
+  async (req, res) => {
+    try {
+      const { courseId, revision } = req.params;
 
-    // Add updater info if available
-    if (req.user) {
-      updateData.updatedBy = {
-        uid: req.user.uid,
-        email: req.user.email,
-        ...(req.user.role && { role: req.user.role }),
-      };
+      const revisionData = await getCourseRevision(courseId, revision);
+      if (!revisionData) {
+        return res.status(404).json({
+          success: false,
+          message: "Revision not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: revisionData,
+      });
+    } catch (error) {
+      console.error("Error fetching course revision:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch course revision",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // Update the course
-    await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .update(updateData);
+// Restore an older revision into the draft, optionally publishing it
+router.post(
+  "/:courseId/revisions/:revision/restore",
+  authenticateUser,
+  requirePermission("courses", "edit"),
+  async (req, res) => {
+    try {
+      const { courseId, revision } = req.params;
+      const updater = getUpdater(req.user);
 
-    // Get the updated document
-    const updatedDoc = await admin
-      .firestore()
-      .collection("courses")
-      .doc(courseId)
-      .get();
+      const courseDoc = await admin
+        .firestore()
+        .collection("courses")
+        .doc(courseId)
+        .get();
+      if (!courseDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      message: "Course modules deleted successfully",
-      data: {
-        documentId: updatedDoc.id,
-        ...updatedDoc.data(),
-      },
-    });
-  } catch (error) {
-    console.error("Error deleting course modules:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete course modules",
-      error: error.message,
-    });
-  }
-});
+      const draft = await restoreCourseRevision(courseId, revision, updater);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: "Revision not found",
+        });
+      }
 
-// Get course modules
-router.get("/:courseId/modules", authenticateUser, async (req, res) => {
-  try {
-    const { courseId } = req.params;
+      if (req.body?.publish !== true) {
+        return res.status(200).json({
+          success: true,
+          message: `Revision ${revision} restored to the draft`,
+          data: draft,
+        });
+      }
 
-    const courseRef = admin.firestore().collection("courses").doc(courseId);
-    const courseDoc = await courseRef.get();
+      const result = await publishCourse(
+        courseId,
+        updater,
+        req.body.note || `Restored revision ${revision}`
+      );
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
 
-    if (!courseDoc.exists) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        message: `Revision ${revision} restored and published as revision ${result.revision}`,
+        revision: result.revision,
+      });
+    } catch (error) {
+      console.error("Error restoring course revision:", error);
+      res.status(500).json({
         success: false,
-        message: "Course not found",
+        message: "Failed to restore course revision",
+        error: error.message,
       });
     }
-
-    const courseData = courseDoc.data();
-
-    // Return the modules data if it exists
-    res.status(200).json({
-      success: true,
-      data: courseData.modules || [],
-    });
-  } catch (error) {
-    console.error("Error getting course modules:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get course modules",
-      error: error.message,
-    });
   }
-});
+);
+
+// Testimonial fields the author controls. Who wrote it and when is set
+// from the signed-in user.
+const TESTIMONIAL_FIELDS = ["comment", "rating", "name"];
+
+const pickTestimonialFields = (data) =>
+  Object.fromEntries(
+    TESTIMONIAL_FIELDS.filter((field) => data[field] !== undefined).map(
+      (field) => [field, data[field]]
+    )
+  );
+
+// Authors manage their own testimonials, course editors moderate them all
+const canManageTestimonial = async (user, testimonial) =>
+  testimonial.userId === user.uid ||
+  (await hasPermission(user, "courses", "edit"));
+
+// Whether the user has been enrolled in the course
+const isEnrolledInCourse = async (userId, courseId) => {
+  const userDoc = await admin
+    .firestore()
+    .collection("user_manage")
+    .doc(userId)
+    .get();
+  if (!userDoc.exists) return false;
+
+  const userData = userDoc.data();
+  return Boolean(
+    (userData.enrolledCourseIds || []).includes(courseId) ||
+      userData.courses?.[courseId]
+  );
+};
 
 // Add testimonial to a course
 router.post("/:courseId/testimonials", authenticateUser, async (req, res) => {
   try {
     const { courseId } = req.params;
-    const testimonialData = req.body;
+    const testimonialData = pickTestimonialFields(req.body);
 
     // Validate required fields
     if (!testimonialData.comment || !testimonialData.rating) {
@@ -1366,14 +2664,24 @@ router.post("/:courseId/testimonials", authenticateUser, async (req, res) => {
       });
     }
 
+    if (
+      !(await isEnrolledInCourse(req.user.uid, courseId)) &&
+      !(await hasPermission(req.user, "courses", "edit"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only trainees of this course can add a testimonial",
+      });
+    }
+
     // Add user info and timestamps
     const newTestimonial = {
       ...testimonialData,
-      userId: testimonialData.userId || req.user.uid,
+      userId: req.user.uid,
       name: testimonialData.name || req.user.displayName || "Anonymous",
-      email: testimonialData.email || req.user.email,
-      timestamp: testimonialData.timestamp || new Date().toISOString(),
-      date: testimonialData.date || new Date().toLocaleDateString(),
+      email: req.user.email || "",
+      timestamp: new Date().toISOString(),
+      date: new Date().toLocaleDateString(),
       updatedAt: new Date().toISOString(), // Use ISO string instead of serverTimestamp
     };
 
@@ -1414,7 +2722,7 @@ router.put(
   async (req, res) => {
     try {
       const { courseId, timestamp } = req.params;
-      const updatedData = req.body;
+      const updatedData = pickTestimonialFields(req.body);
 
       // Get the course
       const courseRef = admin.firestore().collection("courses").doc(courseId);
@@ -1442,8 +2750,10 @@ router.put(
         });
       }
 
-      // Check if user owns this testimonial
-      if (testimonials[testimonialIndex].userId !== req.user.uid) {
+      // Check if user owns this testimonial or moderates the course
+      if (
+        !(await canManageTestimonial(req.user, testimonials[testimonialIndex]))
+      ) {
         return res.status(403).json({
           success: false,
           message: "Not authorized to update this testimonial",
@@ -1517,8 +2827,10 @@ router.delete(
         });
       }
 
-      // Check if user owns this testimonial
-      if (testimonials[testimonialIndex].userId !== req.user.uid) {
+      // Check if user owns this testimonial or moderates the course
+      if (
+        !(await canManageTestimonial(req.user, testimonials[testimonialIndex]))
+      ) {
         return res.status(403).json({
           success: false,
           message: "Not authorized to delete this testimonial",
@@ -1571,9 +2883,9 @@ router.get("/:courseId/trainees", authenticateUser, async (req, res) => {
       const data = doc.data();
       // Check if this document has a trainees array
       if (data.trainees && Array.isArray(data.trainees)) {
-        // Filter for trainees in this course
+        // Filter for active trainees in this course
         const courseTrainees = data.trainees.filter(
-          (trainee) => trainee.courseId === courseId
+          (trainee) => trainee.courseId === courseId && !trainee.archived
         );
         // Add them to the result
         allTrainees.push(...courseTrainees);
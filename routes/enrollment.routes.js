@@ -1,9 +1,98 @@
 import express from "express";
 import admin from "firebase-admin";
-import authenticateUser from "../middlewares/auth.middleware.js";
+import authenticateUser, {
+  allowApiKey,
+} from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
+import requireBatchAccess from "../middlewares/scope.middleware.js";
+import { batchFromBody, isEnrolledInBatch } from "../utils/trainerScope.js";
+import { findBatchById, enrollUserInBatch } from "../utils/trainees.js";
 
 const router = express.Router();
 
+// Enroll an existing user into a batch. Used by integrations (e.g. the HR
+// system) with an API key, so the user can be given by id or email.
+router.post(
+  "/",
+  allowApiKey,
+  authenticateUser,
+  requirePermission("enrollments", "create"),
+  requireBatchAccess(batchFromBody),
+  async (req, res) => {
+    try {
+      const { batchId, userId, email } = req.body;
+
+      if (!batchId || typeof batchId !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "batchId is required",
+        });
+      }
+
+      if (
+        (!userId || typeof userId !== "string") &&
+        (!email || typeof email !== "string")
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "userId or email is required",
+        });
+      }
+
+      const batch = await findBatchById(batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch not found",
+        });
+      }
+
+      let userRecord;
+      try {
+        userRecord = userId
+          ? await admin.auth().getUser(userId)
+          : await admin.auth().getUserByEmail(email.trim().toLowerCase());
+      } catch (error) {
+        if (error.code === "auth/user-not-found") {
+          return res.status(404).json({
+            success: false,
+            message: "User not found",
+          });
+        }
+        throw error;
+      }
+
+      if (await isEnrolledInBatch(userRecord.uid, batchId)) {
+        return res.status(200).json({
+          success: true,
+          message: "User is already enrolled in this batch",
+          data: { userId: userRecord.uid, batchId, courseId: batch.courseId },
+        });
+      }
+
+      await enrollUserInBatch({
+        userId: userRecord.uid,
+        name: userRecord.displayName || "",
+        email: userRecord.email,
+        batch,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "User enrolled successfully",
+        data: { userId: userRecord.uid, batchId, courseId: batch.courseId },
+      });
+    } catch (error) {
+      console.error("Error enrolling user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to enroll user",
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Check if a user is enrolled in a specific course
 router.get("/check/:courseId", authenticateUser, async (req, res) => {
   try {
@@ -0,0 +1,582 @@
+import express from "express";
+import admin from "../config/firebase.config.js";
+import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission, {
+  resolveUserRole,
+} from "../middlewares/permission.middleware.js";
+import { getRolesConfig } from "../config/roles.config.js";
+import { sendMail } from "../config/mailer.config.js";
+import { findBatchById, enrollUserInBatch } from "../utils/trainees.js";
+import {
+  createInvitationToken,
+  verifyInvitationToken,
+} from "../utils/invitationTokens.js";
+import { buildSearchKeys } from "../utils/userSearch.js";
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INVITATION_EXPIRY_DAYS =
+  parseInt(process.env.INVITATION_EXPIRY_DAYS) || 7;
+
+const newExpiryDate = () =>
+  new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+// Invitation fields safe to return to admins
+const toInvitationResponse = (id, data) => ({
+  id,
+  email: data.email,
+  fullName: data.fullName || null,
+  role: data.role,
+  batchId: data.batchId || null,
+  status: data.status,
+  invitedBy: data.invitedBy,
+  expiresAt: data.expiresAt?.toDate() || null,
+  createdAt: data.createdAt?.toDate() || null,
+  lastSentAt: data.lastSentAt?.toDate() || null,
+  ...(data.acceptedAt && {
+    acceptedAt: data.acceptedAt.toDate(),
+    userId: data.userId,
+  }),
+  ...(data.revokedAt && { revokedAt: data.revokedAt.toDate() }),
+});
+
+// Email the invitee a link to the frontend's accept page
+const sendInvitationEmail = async (invitationId, data, version, expiresAt) => {
+  const token = createInvitationToken(invitationId, version, expiresAt);
+  const appBaseUrl = process.env.APP_BASE_URL || "http://localhost:3000";
+  const acceptLink = `${appBaseUrl}/accept-invitation?${new URLSearchParams({
+    token,
+  })}`;
+
+  await sendMail({
+    to: data.email,
+    subject: "You're invited to the IQnaut training portal",
+    text: [
+      `Hi ${data.fullName || "there"},`,
+      "",
+      `You've been invited to join the IQnaut training portal as ${data.role}.`,
+      "Open the link below to set your password and activate your account:",
+      "",
+      acceptLink,
+      "",
+      `This invitation expires on ${expiresAt.toUTCString()}.`,
+    ].join("\n"),
+  });
+};
+
+// Check a token against the stored invitation.
+// Returns { invitationRef, invitation } or { status, message }.
+const loadInvitationFromToken = async (token) => {
+  const verified = verifyInvitationToken(token);
+  if (verified.error) {
+    return { status: 400, message: verified.error };
+  }
+
+  const invitationRef = admin
+    .firestore()
+    .collection("invitations")
+    .doc(verified.invitationId);
+  const invitationDoc = await invitationRef.get();
+
+  if (!invitationDoc.exists) {
+    return { status: 404, message: "Invitation not found" };
+  }
+
+  const invitation = invitationDoc.data();
+
+  if (invitation.status === "accepting") {
+    return { status: 409, message: "Invitation is already being accepted" };
+  }
+
+  if (invitation.status !== "pending") {
+    return { status: 400, message: `Invitation has been ${invitation.status}` };
+  }
+
+  // A resend issues a new link and retires the old ones
+  if (invitation.tokenVersion !== verified.version) {
+    return {
+      status: 400,
+      message: "This invitation link has been replaced by a newer one",
+    };
+  }
+
+  return { invitationRef, invitation };
+};
+
+// Get all invitations, optionally filtered by status
+router.get(
+  "/",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      let query = admin.firestore().collection("invitations");
+      if (req.query.status) {
+        query = query.where("status", "==", req.query.status);
+      }
+
+      const snapshot = await query.get();
+      const invitations = snapshot.docs
+        .map((doc) => toInvitationResponse(doc.id, doc.data()))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+      res.status(200).json({
+        success: true,
+        data: invitations,
+      });
+    } catch (error) {
+      console.error("Error fetching invitations:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch invitations",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Invite someone by email with a role and optional batch placement
+router.post(
+  "/",
+  authenticateUser,
+  requirePermission("users", "create"),
+  async (req, res) => {
+    try {
+      const { fullName, role, batchId } = req.body;
+      const email = req.body.email?.trim().toLowerCase();
+
+      if (!email || !role) {
+        return res.status(400).json({
+          success: false,
+          message: "Email and role are required",
+        });
+      }
+
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid email address",
+        });
+      }
+
+      const roles = await getRolesConfig();
+      if (!roles[role] || roles[role].active === false) {
+        return res.status(400).json({
+          success: false,
+          message: `Role "${role}" not found or inactive`,
+        });
+      }
+
+      // Only admins can hand out the Admin role
+      if (role === "Admin" && (await resolveUserRole(req.user)) !== "Admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Only admins can invite admins",
+        });
+      }
+
+      if (batchId && !(await findBatchById(batchId))) {
+        return res.status(400).json({
+          success: false,
+          message: `Batch "${batchId}" not found`,
+        });
+      }
+
+      try {
+        await admin.auth().getUserByEmail(email);
+        return res.status(409).json({
+          success: false,
+          message: "A user with this email already exists",
+        });
+      } catch (error) {
+        if (error.code !== "auth/user-not-found") throw error;
+      }
+
+      const pendingSnapshot = await admin
+        .firestore()
+        .collection("invitations")
+        .where("email", "==", email)
+        .where("status", "==", "pending")
+        .get();
+
+      if (!pendingSnapshot.empty) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "This email already has a pending invitation, resend or revoke it",
+          invitationId: pendingSnapshot.docs[0].id,
+        });
+      }
+
+      const expiresAt = newExpiryDate();
+      const invitationRef = admin.firestore().collection("invitations").doc();
+      const invitation = {
+        email,
+        fullName: fullName?.trim() || null,
+        role,
+        batchId: batchId || null,
+        status: "pending",
+        tokenVersion: 1,
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+        invitedBy: req.user.email || req.user.uid,
+        createdAt: admin.firestore.Timestamp.now(),
+        lastSentAt: admin.firestore.Timestamp.now(),
+      };
+
+      await invitationRef.set(invitation);
+      await sendInvitationEmail(invitationRef.id, invitation, 1, expiresAt);
+
+      res.status(201).json({
+        success: true,
+        message: "Invitation sent successfully",
+        data: toInvitationResponse(invitationRef.id, invitation),
+      });
+    } catch (error) {
+      console.error("Error creating invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create invitation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Look up an invitation by token so the accept page can show its details
+router.get("/accept", async (req, res) => {
+  try {
+    const result = await loadInvitationFromToken(req.query.token);
+    if (!result.invitation) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const { invitation } = result;
+    const batch = invitation.batchId
+      ? await findBatchById(invitation.batchId)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        fullName: invitation.fullName,
+        role: invitation.role,
+        batch: batch && {
+          batchId: batch.batchId,
+          courseId: batch.courseId,
+          courseName: batch.courseName,
+        },
+        expiresAt: invitation.expiresAt.toDate(),
+      },
+    });
+  } catch (error) {
+    console.error("Error checking invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check invitation",
+      error: error.message,
+    });
+  }
+});
+
+// Undo a partly provisioned acceptance so the invitee can try again
+const rollBackAcceptance = async (invitationRef, uid, batchId) => {
+  const steps = [
+    () => admin.auth().deleteUser(uid),
+    () => admin.firestore().collection("user_manage").doc(uid).delete(),
+    async () => {
+      if (!batchId) return;
+      const traineesRef = admin.firestore().collection("trainees").doc(batchId);
+      await admin.firestore().runTransaction(async (t) => {
+        const traineesDoc = await t.get(traineesRef);
+        if (!traineesDoc.exists) return;
+        t.update(traineesRef, {
+          trainees: (traineesDoc.data().trainees || []).filter(
+            (trainee) => trainee.userId !== uid
+          ),
+        });
+      });
+    },
+    () => invitationRef.update({ status: "pending" }),
+  ];
+
+  // Keep going so one failed step doesn't leave the invitation stuck
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.error("Error rolling back invitation acceptance:", error);
+    }
+  }
+};
+
+// Accept an invitation: create the account, profile and batch placement
+router.post("/accept", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and password are required",
+      });
+    }
+
+    if (
+      typeof token !== "string" ||
+      typeof password !== "string" ||
+      (req.body.fullName !== undefined &&
+        req.body.fullName !== null &&
+        typeof req.body.fullName !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Token, password and fullName must be strings",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const result = await loadInvitationFromToken(token);
+    if (!result.invitation) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const { invitationRef, invitation } = result;
+    const fullName = req.body.fullName?.trim() || invitation.fullName;
+
+    if (!fullName) {
+      return res.status(400).json({
+        success: false,
+        message: "Full name is required",
+      });
+    }
+
+    // Claim the invitation so a double submit can't create two accounts
+    const claimed = await admin.firestore().runTransaction(async (t) => {
+      const current = await t.get(invitationRef);
+      if (current.data().status !== "pending") return false;
+      t.update(invitationRef, { status: "accepting" });
+      return true;
+    });
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "Invitation is already being accepted",
+      });
+    }
+
+    let userRecord;
+    try {
+      // The invitee proved they own the address by opening the email
+      userRecord = await admin.auth().createUser({
+        email: invitation.email,
+        password,
+        displayName: fullName,
+        emailVerified: true,
+      });
+    } catch (error) {
+      await invitationRef.update({ status: "pending" });
+      if (error.code === "auth/email-already-exists") {
+        return res.status(409).json({
+          success: false,
+          message: "A user with this email already exists",
+        });
+      }
+      throw error;
+    }
+
+    let batch = null;
+    try {
+      await admin.auth().setCustomUserClaims(userRecord.uid, {
+        role: invitation.role,
+      });
+
+      await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userRecord.uid)
+        .set({
+          uid: userRecord.uid,
+          fullName,
+          email: invitation.email,
+          searchKeys: buildSearchKeys({ fullName, email: invitation.email }),
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          invitationId: invitationRef.id,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+      if (invitation.batchId) {
+        batch = await findBatchById(invitation.batchId);
+        if (batch) {
+          await enrollUserInBatch({
+            userId: userRecord.uid,
+            name: fullName,
+            email: invitation.email,
+            batch,
+          });
+        }
+      }
+
+      await invitationRef.update({
+        status: "accepted",
+        userId: userRecord.uid,
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (error) {
+      await rollBackAcceptance(invitationRef, userRecord.uid, batch?.batchId);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted, you can now log in",
+      user: {
+        uid: userRecord.uid,
+        fullName,
+        email: invitation.email,
+        role: invitation.role,
+        batchId: batch?.batchId || null,
+      },
+      // Batch removed after the invitation was sent
+      ...(invitation.batchId &&
+        !batch && {
+          warning: `Batch "${invitation.batchId}" no longer exists, no batch placement was made`,
+        }),
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept invitation",
+      error: error.message,
+    });
+  }
+});
+
+// Send a fresh link; older links stop working
+router.post(
+  "/:invitationId/resend",
+  authenticateUser,
+  requirePermission("users", "create"),
+  async (req, res) => {
+    try {
+      const invitationRef = admin
+        .firestore()
+        .collection("invitations")
+        .doc(req.params.invitationId);
+      const invitationDoc = await invitationRef.get();
+
+      if (!invitationDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found",
+        });
+      }
+
+      const invitation = invitationDoc.data();
+      if (invitation.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has been ${invitation.status}`,
+        });
+      }
+
+      const version = (invitation.tokenVersion || 1) + 1;
+      const expiresAt = newExpiryDate();
+      const updates = {
+        tokenVersion: version,
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+        lastSentAt: admin.firestore.Timestamp.now(),
+      };
+
+      await invitationRef.update(updates);
+      await sendInvitationEmail(
+        invitationRef.id,
+        invitation,
+        version,
+        expiresAt
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation resent successfully",
+        data: toInvitationResponse(invitationRef.id, {
+          ...invitation,
+          ...updates,
+        }),
+      });
+    } catch (error) {
+      console.error("Error resending invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to resend invitation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Revoke a pending invitation
+router.delete(
+  "/:invitationId",
+  authenticateUser,
+  requirePermission("users", "delete"),
+  async (req, res) => {
+    try {
+      const invitationRef = admin
+        .firestore()
+        .collection("invitations")
+        .doc(req.params.invitationId);
+      const invitationDoc = await invitationRef.get();
+
+      if (!invitationDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found",
+        });
+      }
+
+      if (invitationDoc.data().status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has been ${invitationDoc.data().status}`,
+        });
+      }
+
+      await invitationRef.update({
+        status: "revoked",
+        revokedBy: req.user.email || req.user.uid,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation revoked successfully",
+      });
+    } catch (error) {
+      console.error("Error revoking invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke invitation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -16,6 +16,7 @@ import {
   getTraineeCourses,
 } from "../controllers/payment.controller.js";
 import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
 
 const router = express.Router();
 
@@ -38,10 +39,20 @@ router.get("/all-payments", authenticateUser, getAllPayments);
 router.get("/receipt/:paymentId", authenticateUser, downloadReceipt);
 
 // Add manual payment
-router.post("/manual-payment", authenticateUser, addManualPayment);
+router.post(
+  "/manual-payment",
+  authenticateUser,
+  requirePermission("payments", "create"),
+  addManualPayment
+);
 
 // Update payment
-router.put("/:paymentId", authenticateUser, updatePayment);
+router.put(
+  "/:paymentId",
+  authenticateUser,
+  requirePermission("payments", "edit"),
+  updatePayment
+);
 
 // Get payment details by ID
 router.get("/:paymentId", authenticateUser, getPaymentDetails);
@@ -50,6 +61,7 @@ router.get("/:paymentId", authenticateUser, getPaymentDetails);
 router.put(
   "/attendance-rate/:userId/:courseId",
   authenticateUser,
+  requirePermission("payments", "edit"),
   updateAttendanceRate
 );
 
@@ -57,6 +69,7 @@ router.put(
 router.put(
   "/course-progress/:userId/:courseId",
   authenticateUser,
+  requirePermission("payments", "edit"),
   updateCourseProgress
 );
 
@@ -64,6 +77,7 @@ router.put(
 router.put(
   "/trainee-course/:userId",
   authenticateUser,
+  requirePermission("payments", "edit"),
   updateTraineeCourseDetails
 );
 
@@ -71,6 +85,7 @@ router.put(
 router.post(
   "/batch-update-courses",
   authenticateUser,
+  requirePermission("payments", "edit"),
   batchUpdateTraineeCourses
 );
 
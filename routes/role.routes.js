@@ -1,9 +1,92 @@
 import express from "express";
 import admin from "../config/firebase.config.js";
 import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission, {
+  resolveUserRole,
+} from "../middlewares/permission.middleware.js";
+import { clearRolesCache, getRolesConfig } from "../config/roles.config.js";
+import {
+  PERMISSION_CATALOG,
+  validatePermissions,
+} from "../config/permissions.config.js";
+import {
+  getRoleHolderIds,
+  propagateRoleChange,
+  runRolePropagation,
+  continueRolePropagation,
+} from "../utils/rolePropagation.js";
+import {
+  findInheritanceCycle,
+  resolveEffectivePermissions,
+} from "../utils/roleInheritance.js";
+import {
+  recordRoleChanges,
+  getRoleHistory,
+  getRoleVersion,
+} from "../utils/roleHistory.js";
 
 const router = express.Router();
 
+// Check that a role's parent exists and doesn't lead back to the role
+const validateParent = (rolesData, roleName, parent) => {
+  if (!parent) return null;
+
+  if (typeof parent !== "string" || !rolesData[parent]) {
+    return `Parent role "${parent}" not found`;
+  }
+
+  const cycle = findInheritanceCycle(rolesData, roleName, parent);
+  if (cycle) {
+    return `Role inheritance cycle: ${cycle.join(" -> ")}`;
+  }
+
+  return null;
+};
+
+// Reject permission keys the catalog doesn't know (e.g. "corses")
+const permissionErrorResponse = (res, permissions) => {
+  if (permissions === undefined) return null;
+
+  const errors = validatePermissions(permissions);
+  if (errors.length === 0) return null;
+
+  return res.status(400).json({
+    success: false,
+    message: "Invalid permissions",
+    errors,
+  });
+};
+
+// 202 while a propagation job still has users to move (it carries on in
+// the background), 207 when some users couldn't be moved, 200 otherwise
+const propagationStatus = (job) => {
+  if (job.status === "running") {
+    continueRolePropagation(job.jobId);
+    return 202;
+  }
+  return job.failed.length > 0 ? 207 : 200;
+};
+
+// History entries for child roles whose parent changes with a rename/delete
+const childParentChanges = (rolesData, children, newParent, changedBy) =>
+  children.map((child) => {
+    const after = { ...rolesData[child] };
+    if (newParent) {
+      after.parent = newParent;
+    } else {
+      delete after.parent;
+    }
+
+    return {
+      roleName: child,
+      action: "update",
+      before: rolesData[child],
+      after,
+      changedBy,
+      note: "Parent role changed",
+    };
+  });
+
 // Get all roles
 router.get("/", authenticateUser, async (req, res) => {
   try {
@@ -37,233 +120,903 @@ router.get("/", authenticateUser, async (req, res) => {
   }
 });
 
-// Create a new role
-router.post("/", authenticateUser, async (req, res) => {
-  try {
-    const { name, active, permissions } = req.body;
-
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        message: "Role name is required",
-      });
-    }
+// Every resource and action that can be granted to a role
+router.get("/catalog", authenticateUser, (req, res) => {
+  res.status(200).json({
+    success: true,
+    catalog: Object.entries(PERMISSION_CATALOG).map(([resource, entry]) => ({
+      resource,
+      ...entry,
+    })),
+  });
+});
 
-    // Get the current roles document
-    const rolesRef = admin
-      .firestore()
-      .collection("role_permissions")
-      .doc("roles");
-    const rolesDoc = await rolesRef.get();
+// Effective permissions for the calling user's role.
+// Declared before the /:roleName routes so "me" isn't taken as a role name.
+router.get("/me/effective", authenticateUser, async (req, res) => {
+  try {
+    const roleName = await resolveUserRole(req.user);
+    const roles = await getRolesConfig();
 
-    if (!rolesDoc.exists) {
+    if (!roleName || !roles[roleName]) {
       return res.status(404).json({
         success: false,
-        message: "Roles document not found",
+        message: "No valid role assigned to user",
       });
     }
 
-    const rolesData = rolesDoc.data();
-
-    // Check if role already exists
-    if (rolesData[name]) {
-      return res.status(400).json({
-        success: false,
-        message: "Role already exists",
-      });
-    }
-
-    // Create the new role
-    const newRole = {
-      active: active !== false,
-      permissions: permissions || {},
-      updatedBy: req.user.email || "unknown",
-      updatedAt: new Date().toISOString(),
-    };
-
-    // Update the roles document
-    await rolesRef.update({
-      [name]: newRole,
-    });
-
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Role created successfully",
-      role: {
-        name,
-        ...newRole,
-      },
+      role: roleName,
+      active: roles[roleName].active !== false,
+      ...resolveEffectivePermissions(roles, roleName),
     });
   } catch (error) {
-    console.error("Error creating role:", error);
+    console.error("Error resolving effective permissions:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to create role",
+      message: "Failed to resolve effective permissions",
       error: error.message,
     });
   }
 });
 
-// Update an existing role
-router.put("/:roleName", authenticateUser, async (req, res) => {
-  try {
-    const { roleName } = req.params;
-    const { name, active, permissions } = req.body;
-
-    // Get the current roles document
-    const rolesRef = admin
-      .firestore()
-      .collection("role_permissions")
-      .doc("roles");
-    const rolesDoc = await rolesRef.get();
+// Effective (inherited + own) permissions for a role
+router.get(
+  "/:roleName/effective",
+  authenticateUser,
+  requirePermission("roles", "view"),
+  async (req, res) => {
+    try {
+      const { roleName } = req.params;
+      const roles = await getRolesConfig();
+
+      if (!roles[roleName]) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
 
-    if (!rolesDoc.exists) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        role: roleName,
+        active: roles[roleName].active !== false,
+        ...resolveEffectivePermissions(roles, roleName),
+      });
+    } catch (error) {
+      console.error("Error resolving effective permissions:", error);
+      res.status(500).json({
         success: false,
-        message: "Roles document not found",
+        message: "Failed to resolve effective permissions",
+        error: error.message,
       });
     }
+  }
+);
 
-    const rolesData = rolesDoc.data();
+// Create a new role
+router.post(
+  "/",
+  authenticateUser,
+  requirePermission("roles", "create"),
+  async (req, res) => {
+    try {
+      const { name, active, permissions, parent, globalAccess } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: "Role name is required",
+        });
+      }
 
-    // Check if role exists
-    if (!rolesData[roleName]) {
-      return res.status(404).json({
+      if (permissionErrorResponse(res, permissions)) return;
+
+      // Get the current roles document
+      const rolesRef = admin
+        .firestore()
+        .collection("role_permissions")
+        .doc("roles");
+      const rolesDoc = await rolesRef.get();
+
+      if (!rolesDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Roles document not found",
+        });
+      }
+
+      const rolesData = rolesDoc.data();
+
+      // Check if role already exists
+      if (rolesData[name]) {
+        return res.status(400).json({
+          success: false,
+          message: "Role already exists",
+        });
+      }
+
+      const parentError = validateParent(rolesData, name, parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError,
+        });
+      }
+
+      // Create the new role
+      const newRole = {
+        active: active !== false,
+        permissions: permissions || {},
+        ...(parent && { parent }),
+        // Skip trainer batch/course assignment checks
+        globalAccess: globalAccess === true,
+        updatedBy: req.user.email || "unknown",
+        updatedAt: new Date().toISOString(),
+      };
+
+      // Update the roles document
+      await rolesRef.update({
+        [name]: newRole,
+      });
+      clearRolesCache();
+
+      const versions = await recordRoleChanges([
+        {
+          roleName: name,
+          action: "create",
+          before: null,
+          after: newRole,
+          changedBy: req.user.email,
+        },
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: "Role created successfully",
+        role: {
+          name,
+          ...newRole,
+        },
+        version: versions[name],
+      });
+    } catch (error) {
+      console.error("Error creating role:", error);
+      res.status(500).json({
         success: false,
-        message: "Role not found",
+        message: "Failed to create role",
+        error: error.message,
       });
     }
+  }
+);
+
+// Update an existing role
+router.put(
+  "/:roleName",
+  authenticateUser,
+  requirePermission("roles", "edit"),
+  async (req, res) => {
+    try {
+      const { roleName } = req.params;
+      const { name, active, permissions, parent, globalAccess } = req.body;
+
+      if (permissionErrorResponse(res, permissions)) return;
+
+      // Get the current roles document
+      const rolesRef = admin
+        .firestore()
+        .collection("role_permissions")
+        .doc("roles");
+      const rolesDoc = await rolesRef.get();
+
+      if (!rolesDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Roles document not found",
+        });
+      }
+
+      const rolesData = rolesDoc.data();
+
+      // Check if role exists
+      if (!rolesData[roleName]) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+
+      // Prevent modifying Admin role's active status
+      if (roleName === "Admin" && active === false) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot deactivate Admin role",
+        });
+      }
+
+      // Create updated role data
+      const updatedRole = {
+        ...rolesData[roleName],
+        active: active !== undefined ? active : rolesData[roleName].active,
+        permissions: permissions || rolesData[roleName].permissions,
+        globalAccess:
+          globalAccess !== undefined
+            ? globalAccess === true
+            : rolesData[roleName].globalAccess === true,
+        updatedBy: req.user.email || "unknown",
+        updatedAt: new Date().toISOString(),
+      };
+
+      // parent: undefined keeps the current parent, null or "" removes it
+      if (parent !== undefined) {
+        if (parent) {
+          updatedRole.parent = parent;
+        } else {
+          delete updatedRole.parent;
+        }
+      }
+
+      // Roles that inherit from this one follow a rename
+      const childRoles = Object.keys(rolesData).filter(
+        (key) => rolesData[key]?.parent === roleName
+      );
+      const newName = name || roleName;
+      const nextRoles = { ...rolesData, [newName]: updatedRole };
+      if (newName !== roleName) {
+        delete nextRoles[roleName];
+        childRoles.forEach((child) => {
+          nextRoles[child] = { ...nextRoles[child], parent: newName };
+        });
+      }
 
-    // Prevent modifying Admin role's active status
-    if (roleName === "Admin" && active === false) {
-      return res.status(400).json({
+      const parentError = validateParent(
+        nextRoles,
+        newName,
+        updatedRole.parent
+      );
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError,
+        });
+      }
+
+      // Handle role name change
+      if (name && name !== roleName) {
+        // Admin is referenced by name throughout the permission checks
+        if (roleName === "Admin") {
+          return res.status(400).json({
+            success: false,
+            message: "Cannot rename Admin role",
+          });
+        }
+
+        // Check if new name already exists
+        if (rolesData[name]) {
+          return res.status(400).json({
+            success: false,
+            message: "A role with the new name already exists",
+          });
+        }
+
+        // Create a batch to update atomically
+        const batch = admin.firestore().batch();
+
+        // Add the role with the new name
+        batch.update(rolesRef, {
+          [name]: updatedRole,
+        });
+
+        // Remove the old role
+        batch.update(rolesRef, {
+          [roleName]: admin.firestore.FieldValue.delete(),
+        });
+
+        // Point child roles at the new name
+        childRoles.forEach((child) => {
+          batch.update(rolesRef, {
+            [`${child}.parent`]: name,
+          });
+        });
+
+        // Users not moved yet still resolve to the role under its new name
+        batch.set(admin.firestore().collection("role_aliases").doc(roleName), {
+          role: name,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Commit the batch
+        await batch.commit();
+        clearRolesCache();
+
+        const versions = await recordRoleChanges([
+          {
+            roleName,
+            action: "rename",
+            before: rolesData[roleName],
+            after: null,
+            changedBy: req.user.email,
+            renamedTo: name,
+          },
+          {
+            roleName: name,
+            action: "rename",
+            before: rolesData[roleName],
+            after: updatedRole,
+            changedBy: req.user.email,
+            renamedFrom: roleName,
+          },
+          ...childParentChanges(rolesData, childRoles, name, req.user.email),
+        ]);
+
+        // Move the role's users over to the new name
+        const propagation = await propagateRoleChange({
+          fromRole: roleName,
+          toRole: name,
+          reason: "rename",
+          startedBy: req.user.email || req.user.uid,
+        });
+
+        const status = propagationStatus(propagation);
+        res.status(status).json({
+          success: status !== 207,
+          message:
+            status === 207
+              ? `Role renamed, but ${propagation.failed.length} user(s) could not be moved to it. Retry them with POST /api/roles/reassign.`
+              : status === 202
+              ? "Role renamed, its users are being moved to the new name"
+              : "Role updated and renamed successfully",
+          role: {
+            name,
+            ...updatedRole,
+          },
+          version: versions[name],
+          propagation,
+        });
+      } else {
+        // Just update the existing role
+        await rolesRef.update({
+          [roleName]: updatedRole,
+        });
+        clearRolesCache();
+
+        const versions = await recordRoleChanges([
+          {
+            roleName,
+            action: "update",
+            before: rolesData[roleName],
+            after: updatedRole,
+            changedBy: req.user.email,
+          },
+        ]);
+
+        res.status(200).json({
+          success: true,
+          message: "Role updated successfully",
+          role: {
+            name: roleName,
+            ...updatedRole,
+          },
+          version: versions[roleName],
+        });
+      }
+    } catch (error) {
+      console.error("Error updating role:", error);
+      res.status(500).json({
         success: false,
-        message: "Cannot deactivate Admin role",
+        message: "Failed to update role",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Create updated role data
-    const updatedRole = {
-      ...rolesData[roleName],
-      active: active !== undefined ? active : rolesData[roleName].active,
-      permissions: permissions || rolesData[roleName].permissions,
-      updatedBy: req.user.email || "unknown",
-      updatedAt: new Date().toISOString(),
-    };
-
-    // Handle role name change
-    if (name && name !== roleName) {
-      // Check if new name already exists
-      if (rolesData[name]) {
+// Delete a role
+router.delete(
+  "/:roleName",
+  authenticateUser,
+  requirePermission("roles", "delete"),
+  async (req, res) => {
+    try {
+      const { roleName } = req.params;
+
+      // Prevent deleting Admin role
+      if (roleName === "Admin") {
         return res.status(400).json({
           success: false,
-          message: "A role with the new name already exists",
+          message: "Cannot delete Admin role",
         });
       }
 
-      // Create a batch to update atomically
-      const batch = admin.firestore().batch();
+      // Get the current roles document
+      const rolesRef = admin
+        .firestore()
+        .collection("role_permissions")
+        .doc("roles");
+      const rolesDoc = await rolesRef.get();
+
+      if (!rolesDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Roles document not found",
+        });
+      }
+
+      const rolesData = rolesDoc.data();
+
+      // Check if role exists
+      if (!rolesData[roleName]) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
 
-      // Add the role with the new name
-      batch.update(rolesRef, {
-        [name]: updatedRole,
+      const replacementRole =
+        req.body?.replacementRole || req.query.replacementRole;
+      const holderIds = await getRoleHolderIds(roleName);
+
+      // Users can't be left holding a role that no longer exists
+      if (holderIds.length > 0 && !replacementRole) {
+        return res.status(409).json({
+          success: false,
+          message: `${holderIds.length} user(s) still hold this role, provide a replacementRole to reassign them`,
+          userCount: holderIds.length,
+        });
+      }
+
+      if (replacementRole) {
+        if (replacementRole === roleName) {
+          return res.status(400).json({
+            success: false,
+            message: "Replacement role must be a different role",
+          });
+        }
+
+        if (!rolesData[replacementRole]) {
+          return res.status(400).json({
+            success: false,
+            message: `Replacement role "${replacementRole}" not found`,
+          });
+        }
+      }
+
+      // Reassign users before the role disappears
+      let propagation = null;
+      if (holderIds.length > 0) {
+        propagation = await propagateRoleChange({
+          fromRole: roleName,
+          toRole: replacementRole,
+          reason: "delete",
+          startedBy: req.user.email || req.user.uid,
+        });
+
+        // The role is only deleted once nobody holds it
+        if (propagation.status === "running") {
+          return res.status(propagationStatus(propagation)).json({
+            success: true,
+            message:
+              "Users are being reassigned. Repeat the delete once the job has completed.",
+            propagation,
+          });
+        }
+
+        if (propagation.failed.length > 0) {
+          return res.status(500).json({
+            success: false,
+            message:
+              "Some users could not be reassigned, the role was not deleted",
+            propagation,
+          });
+        }
+      }
+
+      // Child roles inherit from the deleted role's parent instead
+      const deletedParent = rolesData[roleName].parent;
+      const childRoles = Object.keys(rolesData).filter(
+        (key) => rolesData[key]?.parent === roleName
+      );
+      const childUpdates = {};
+      childRoles.forEach((child) => {
+        childUpdates[`${child}.parent`] =
+          deletedParent || admin.firestore.FieldValue.delete();
       });
 
-      // Remove the old role
-      batch.update(rolesRef, {
+      // Delete the role
+      await rolesRef.update({
         [roleName]: admin.firestore.FieldValue.delete(),
+        ...childUpdates,
+      });
+      clearRolesCache();
+
+      const versions = await recordRoleChanges([
+        {
+          roleName,
+          action: "delete",
+          before: rolesData[roleName],
+          after: null,
+          changedBy: req.user.email,
+          ...(replacementRole && { replacementRole }),
+        },
+        ...childParentChanges(
+          rolesData,
+          childRoles,
+          deletedParent,
+          req.user.email
+        ),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        message: "Role deleted successfully",
+        version: versions[roleName],
+        ...(propagation && { propagation }),
       });
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete role",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Change history of a role, newest first
+router.get(
+  "/:roleName/history",
+  authenticateUser,
+  requirePermission("roles", "view"),
+  async (req, res) => {
+    try {
+      const { roleName } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-      // Commit the batch
-      await batch.commit();
+      const history = await getRoleHistory(roleName, limit);
 
       res.status(200).json({
         success: true,
-        message: "Role updated and renamed successfully",
-        role: {
-          name,
-          ...updatedRole,
-        },
+        role: roleName,
+        history,
       });
-    } else {
-      // Just update the existing role
+    } catch (error) {
+      console.error("Error fetching role history:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch role history",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Restore a role to the state it had after the given version.
+// Also brings back a deleted role.
+router.post(
+  "/:roleName/history/:version/rollback",
+  authenticateUser,
+  requirePermission("roles", "edit"),
+  async (req, res) => {
+    try {
+      const { roleName, version } = req.params;
+
+      const target = await getRoleVersion(roleName, version);
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: "Role version not found",
+        });
+      }
+
+      if (!target.after) {
+        return res.status(400).json({
+          success: false,
+          message: `Version ${version} removed the role, choose an earlier version`,
+        });
+      }
+
+      const rolesRef = admin
+        .firestore()
+        .collection("role_permissions")
+        .doc("roles");
+      const rolesDoc = await rolesRef.get();
+
+      if (!rolesDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Roles document not found",
+        });
+      }
+
+      const rolesData = rolesDoc.data();
+      const current = rolesData[roleName] || null;
+
+      const restoredRole = {
+        ...target.after,
+        updatedBy: req.user.email || "unknown",
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (roleName === "Admin" && restoredRole.active === false) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot deactivate Admin role",
+        });
+      }
+
+      // The old parent may have been deleted or now inherit from this role
+      const parentError = validateParent(
+        { ...rolesData, [roleName]: restoredRole },
+        roleName,
+        restoredRole.parent
+      );
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError,
+        });
+      }
+
       await rolesRef.update({
-        [roleName]: updatedRole,
+        [roleName]: restoredRole,
       });
+      clearRolesCache();
+
+      const versions = await recordRoleChanges([
+        {
+          roleName,
+          action: "rollback",
+          before: current,
+          after: restoredRole,
+          changedBy: req.user.email,
+          rolledBackTo: target.version,
+        },
+      ]);
 
       res.status(200).json({
         success: true,
-        message: "Role updated successfully",
+        message: `Role rolled back to version ${target.version}`,
         role: {
           name: roleName,
-          ...updatedRole,
+          ...restoredRole,
         },
+        version: versions[roleName],
+      });
+    } catch (error) {
+      console.error("Error rolling back role:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to roll back role",
+        error: error.message,
       });
     }
-  } catch (error) {
-    console.error("Error updating role:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update role",
-      error: error.message,
-    });
   }
-});
+);
+
+// Move all users from one role to another, e.g. to retry users a rename
+// or delete could not update
+router.post(
+  "/reassign",
+  authenticateUser,
+  requirePermission("roles", "edit"),
+  async (req, res) => {
+    try {
+      const { fromRole, toRole } = req.body;
+
+      if (!fromRole || !toRole || fromRole === toRole) {
+        return res.status(400).json({
+          success: false,
+          message: "fromRole and toRole are required and must differ",
+        });
+      }
 
-// Delete a role
-router.delete("/:roleName", authenticateUser, async (req, res) => {
-  try {
-    const { roleName } = req.params;
+      const rolesDoc = await admin
+        .firestore()
+        .collection("role_permissions")
+        .doc("roles")
+        .get();
 
-    // Prevent deleting Admin role
-    if (roleName === "Admin") {
-      return res.status(400).json({
+      if (!rolesDoc.exists || !rolesDoc.data()[toRole]) {
+        return res.status(400).json({
+          success: false,
+          message: `Role "${toRole}" not found`,
+        });
+      }
+
+      const propagation = await propagateRoleChange({
+        fromRole,
+        toRole,
+        reason: "reassign",
+        startedBy: req.user.email || req.user.uid,
+      });
+
+      const status = propagationStatus(propagation);
+      res.status(status).json({
+        success: status !== 207,
+        message:
+          status === 202
+            ? `Reassigning ${propagation.total} user(s)`
+            : `Reassigned ${propagation.updated} of ${propagation.total} user(s)`,
+        propagation,
+      });
+    } catch (error) {
+      console.error("Error reassigning role:", error);
+      res.status(500).json({
         success: false,
-        message: "Cannot delete Admin role",
+        message: "Failed to reassign role",
+        error: error.message,
       });
     }
+  }
+);
+
+// Give every role saved before batch scoping an explicit globalAccess flag.
+// Roles without the flag are already limited to their trainer assignments;
+// roles listed in globalRoles get access to all batches back, the others
+// are marked as scoped. Roles that already have the flag are left alone,
+// so this is safe to repeat.
+router.post(
+  "/migrations/global-access",
+  authenticateUser,
+  requirePermission("roles", "edit"),
+  async (req, res) => {
+    try {
+      const { globalRoles = [] } = req.body;
+
+      if (
+        !Array.isArray(globalRoles) ||
+        globalRoles.some((roleName) => typeof roleName !== "string")
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "globalRoles must be an array of role names",
+        });
+      }
 
-    // Get the current roles document
-    const rolesRef = admin
-      .firestore()
-      .collection("role_permissions")
-      .doc("roles");
-    const rolesDoc = await rolesRef.get();
+      const rolesRef = admin
+        .firestore()
+        .collection("role_permissions")
+        .doc("roles");
+      const rolesDoc = await rolesRef.get();
 
-    if (!rolesDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Roles document not found",
+      if (!rolesDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Roles document not found",
+        });
+      }
+
+      const rolesData = rolesDoc.data();
+      const unknown = globalRoles.filter((roleName) => !rolesData[roleName]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role(s): ${unknown.join(", ")}`,
+        });
+      }
+
+      const pending = Object.keys(rolesData).filter(
+        (roleName) =>
+          roleName !== "Admin" &&
+          rolesData[roleName] &&
+          typeof rolesData[roleName] === "object" &&
+          rolesData[roleName].globalAccess === undefined
+      );
+
+      const updates = {};
+      const changes = pending.map((roleName) => {
+        const after = {
+          ...rolesData[roleName],
+          globalAccess: globalRoles.includes(roleName),
+          updatedBy: req.user.email || "unknown",
+          updatedAt: new Date().toISOString(),
+        };
+        updates[roleName] = after;
+        return {
+          roleName,
+          action: "update",
+          before: rolesData[roleName],
+          after,
+          changedBy: req.user.email,
+          note: "globalAccess migration",
+        };
       });
-    }
 
-    const rolesData = rolesDoc.data();
+      if (changes.length > 0) {
+        await rolesRef.update(updates);
+        clearRolesCache();
+        await recordRoleChanges(changes);
+      }
 
-    // Check if role exists
-    if (!rolesData[roleName]) {
-      return res.status(404).json({
+      res.status(200).json({
+        success: true,
+        message: `Set globalAccess on ${changes.length} role(s)`,
+        global: pending.filter((roleName) => globalRoles.includes(roleName)),
+        scoped: pending.filter((roleName) => !globalRoles.includes(roleName)),
+      });
+    } catch (error) {
+      console.error("Error migrating role globalAccess:", error);
+      res.status(500).json({
         success: false,
-        message: "Role not found",
+        message: "Failed to migrate roles",
+        error: error.message,
       });
     }
+  }
+);
+
+// Progress of a role propagation job
+router.get(
+  "/jobs/:jobId",
+  authenticateUser,
+  requirePermission("roles", "view"),
+  async (req, res) => {
+    try {
+      const jobDoc = await admin
+        .firestore()
+        .collection("role_propagation_jobs")
+        .doc(req.params.jobId)
+        .get();
+
+      if (!jobDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
 
-    // Delete the role
-    await rolesRef.update({
-      [roleName]: admin.firestore.FieldValue.delete(),
-    });
+      const { leaseUntil, ...job } = jobDoc.data();
+      res.status(200).json({
+        success: true,
+        job: {
+          jobId: jobDoc.id,
+          ...job,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching role propagation job:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch job",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Work on an unfinished propagation job, e.g. when the host stopped the
+// background run. Call again while the job is still running.
+router.post(
+  "/jobs/:jobId/run",
+  authenticateUser,
+  requirePermission("roles", "edit"),
+  async (req, res) => {
+    try {
+      const job = await runRolePropagation(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "Job not found",
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      message: "Role deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting role:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete role",
-      error: error.message,
-    });
+      res.status(job.status === "running" ? 202 : 200).json({
+        success: true,
+        job,
+      });
+    } catch (error) {
+      console.error("Error running role propagation job:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to run job",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 export default router;
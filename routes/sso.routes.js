@@ -0,0 +1,529 @@
+import express from "express";
+import crypto from "crypto";
+import axios from "axios";
+import admin from "../config/firebase.config.js";
+import { getSsoOrganization } from "../config/sso.config.js";
+import { getRolesConfig } from "../config/roles.config.js";
+import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
+import { isPrivilegedRole } from "../utils/roleInheritance.js";
+import {
+  createAuthRequestSecrets,
+  buildAuthorizationUrl,
+  exchangeCodeForClaims,
+  mapGroupsToRole,
+} from "../utils/oidc.js";
+import { recordLoginAttempt } from "../utils/loginAudit.js";
+import { trackIssuedSession } from "../utils/sessions.js";
+import { buildSearchKeys } from "../utils/userSearch.js";
+
+const router = express.Router();
+
+// Login attempts must finish within this window
+const STATE_TTL_MS = 10 * 60 * 1000;
+// One-time codes handed to the frontend are exchanged straight away
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+const getRedirectUri = (orgId, organization) =>
+  organization.redirectUri ||
+  `${
+    process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+  }/api/auth/sso/${encodeURIComponent(orgId)}/callback`;
+
+// Only send users back to our own frontend
+const isAllowedRedirect = (redirectTo) => {
+  try {
+    const appOrigin = new URL(
+      process.env.APP_BASE_URL || "http://localhost:3000"
+    ).origin;
+    return new URL(redirectTo).origin === appOrigin;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Add query parameters to a frontend URL that may already have some
+const withQuery = (url, params) => {
+  const target = new URL(url);
+  Object.entries(params).forEach(([name, value]) =>
+    target.searchParams.set(name, value)
+  );
+  return target.toString();
+};
+
+// Sign the user in to Firebase and return the same tokens /login does,
+// tracking the session for the device making the request
+const issuePortalTokens = async (req, uid, orgId) => {
+  const customToken = await admin.auth().createCustomToken(uid, {
+    ssoOrg: orgId,
+  });
+
+  const response = await axios.post(
+    `https://identitytoolkit.googleapis.com/v1/accounts:signInWithCustomToken?key=${process.env.FIREBASE_API_KEY}`,
+    {
+      token: customToken,
+      returnSecureToken: true,
+    }
+  );
+
+  const { sessionId } = await trackIssuedSession(response.data.idToken, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    event: "login",
+  });
+
+  return {
+    idToken: response.data.idToken,
+    refreshToken: response.data.refreshToken,
+    expiresIn: response.data.expiresIn,
+    userId: uid,
+    sessionId,
+  };
+};
+
+// Find the portal user for the IdP identity, linking or creating them.
+// Accounts that weren't created by SSO are only linked after an admin
+// approved it (POST /:orgId/links), and never when they hold a privileged
+// role. Only accounts created by this organization's SSO follow the IdP
+// role mapping. Returns { uid, role, created } or { status, error }.
+const resolveSsoUser = async (orgId, organization, claims) => {
+  const email = claims.email?.toLowerCase();
+
+  if (!email) {
+    return { status: 400, error: "Identity provider did not share an email" };
+  }
+
+  // Some providers don't send email_verified; an org can opt in to trust them
+  if (claims.email_verified !== true && !organization.assumeEmailVerified) {
+    return { status: 403, error: "Email address is not verified" };
+  }
+
+  // Without a domain list any IdP account could claim any portal email
+  if (!(organization.emailDomains?.length > 0)) {
+    console.error(`SSO organization ${orgId} has no emailDomains configured`);
+    return {
+      status: 403,
+      error: "SSO is not fully configured for this organization",
+    };
+  }
+
+  const domain = email.split("@")[1];
+  if (!organization.emailDomains.includes(domain)) {
+    return {
+      status: 403,
+      error: "Email domain is not allowed for this organization",
+    };
+  }
+
+  const roles = await getRolesConfig();
+  let mappedRole = mapGroupsToRole(organization, claims);
+  if (mappedRole && !roles[mappedRole]) {
+    console.error(
+      `SSO role mapping for ${orgId} names unknown role`,
+      mappedRole
+    );
+    mappedRole = null;
+  }
+
+  // Stored under user_manage.sso.{orgId}
+  const ssoEntry = {
+    issuer: claims.iss,
+    subject: claims.sub,
+    lastLoginAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  let userRecord = null;
+  try {
+    userRecord = await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== "auth/user-not-found") throw error;
+  }
+
+  // Existing account: log in if it's linked to this identity, otherwise
+  // link it only when an admin approved it
+  if (userRecord) {
+    if (userRecord.disabled) {
+      return { status: 403, error: "User account is disabled" };
+    }
+
+    const userRef = admin
+      .firestore()
+      .collection("user_manage")
+      .doc(userRecord.uid);
+    const userDoc = await userRef.get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+
+    const existingLink = userData.sso?.[orgId];
+    if (existingLink && existingLink.subject !== claims.sub) {
+      return {
+        status: 403,
+        error: "This account is linked to a different SSO identity",
+      };
+    }
+
+    if (!existingLink) {
+      if (!userDoc.exists || !userData.ssoLinkApprovals?.[orgId]) {
+        return {
+          status: 409,
+          error:
+            "A portal account already exists for this email. Ask an administrator to link it to SSO.",
+        };
+      }
+      if (isPrivilegedRole(roles, userData.role)) {
+        return {
+          status: 403,
+          error: "Accounts with administrative roles can't sign in with SSO",
+        };
+      }
+    }
+
+    const updates = {
+      [`sso.${orgId}`]: ssoEntry,
+      [`ssoLinkApprovals.${orgId}`]: admin.firestore.FieldValue.delete(),
+    };
+
+    // The IdP only manages the role of accounts it created
+    let role = userData.role;
+    const managedBySso =
+      userData.signupSource === "sso" && userData.organization === orgId;
+    if (managedBySso && mappedRole && mappedRole !== role) {
+      role = mappedRole;
+      updates.role = role;
+      await admin.auth().setCustomUserClaims(userRecord.uid, {
+        ...(userRecord.customClaims || {}),
+        role,
+      });
+    }
+
+    await userRef.update(updates);
+
+    return { uid: userRecord.uid, role, created: false };
+  }
+
+  if (organization.allowSignup === false) {
+    return {
+      status: 403,
+      error: "No portal account exists for this email",
+    };
+  }
+
+  const role = mappedRole || organization.defaultRole || "Trainee";
+  const fullName = claims.name || email;
+
+  // SSO users never get a portal password
+  userRecord = await admin.auth().createUser({
+    email,
+    displayName: fullName,
+    emailVerified: true,
+  });
+
+  await admin.auth().setCustomUserClaims(userRecord.uid, { role });
+
+  await admin
+    .firestore()
+    .collection("user_manage")
+    .doc(userRecord.uid)
+    .set({
+      uid: userRecord.uid,
+      fullName,
+      email,
+      searchKeys: buildSearchKeys({ fullName, email }),
+      role,
+      signupSource: "sso",
+      organization: orgId,
+      sso: { [orgId]: ssoEntry },
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+  return { uid: userRecord.uid, role, created: true };
+};
+
+// Allow an existing portal account to be linked to the organization's IdP
+// on its next SSO login with a matching email
+router.post(
+  "/:orgId/links",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { orgId } = req.params;
+      const { userId } = req.body;
+
+      if (!userId || typeof userId !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "userId is required",
+        });
+      }
+
+      const organization = await getSsoOrganization(orgId);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: "SSO is not configured for this organization",
+        });
+      }
+
+      const userRef = admin.firestore().collection("user_manage").doc(userId);
+      const userDoc = await userRef.get();
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const userData = userDoc.data();
+      if (userData.sso?.[orgId]) {
+        return res.status(400).json({
+          success: false,
+          message: "User is already linked to this organization",
+        });
+      }
+
+      const roles = await getRolesConfig();
+      if (isPrivilegedRole(roles, userData.role)) {
+        return res.status(403).json({
+          success: false,
+          message: "Accounts with administrative roles can't be linked to SSO",
+        });
+      }
+
+      const domain = (userData.email || "").toLowerCase().split("@")[1];
+      if (!(organization.emailDomains || []).includes(domain)) {
+        return res.status(400).json({
+          success: false,
+          message: "User's email domain is not allowed for this organization",
+        });
+      }
+
+      await userRef.update({
+        [`ssoLinkApprovals.${orgId}`]: {
+          approvedBy: req.user.email || req.user.uid,
+          approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "The account will be linked on its next SSO login",
+      });
+    } catch (error) {
+      console.error("Error approving SSO link:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to approve SSO link",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Start an SSO login: redirect the browser to the organization's IdP
+router.get("/:orgId/start", async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { redirectTo } = req.query;
+
+    const organization = await getSsoOrganization(orgId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: "SSO is not configured for this organization",
+      });
+    }
+
+    if (redirectTo && !isAllowedRedirect(redirectTo)) {
+      return res.status(400).json({
+        success: false,
+        message: "redirectTo must point to the portal frontend",
+      });
+    }
+
+    const secrets = createAuthRequestSecrets();
+    const redirectUri = getRedirectUri(orgId, organization);
+
+    await admin
+      .firestore()
+      .collection("sso_states")
+      .doc(secrets.state)
+      .set({
+        orgId,
+        nonce: secrets.nonce,
+        codeVerifier: secrets.codeVerifier,
+        redirectTo: redirectTo || null,
+        expiresAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + STATE_TTL_MS
+        ),
+      });
+
+    res.redirect(
+      await buildAuthorizationUrl(organization, redirectUri, secrets)
+    );
+  } catch (error) {
+    console.error("Error starting SSO login:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start SSO login",
+      error: error.message,
+    });
+  }
+});
+
+// IdP redirects back here with the authorization code
+router.get("/:orgId/callback", async (req, res) => {
+  const { orgId } = req.params;
+  const { code, state, error: idpError } = req.query;
+  let stateData = null;
+
+  // Browser logins go back to the frontend, API clients get JSON
+  const fail = (status, message) => {
+    if (stateData?.redirectTo) {
+      return res.redirect(
+        withQuery(stateData.redirectTo, { ssoError: message })
+      );
+    }
+    return res.status(status).json({ success: false, message });
+  };
+
+  try {
+    if (!state) {
+      return fail(400, "Missing SSO state");
+    }
+
+    // Each state can be used once
+    const stateRef = admin.firestore().collection("sso_states").doc(state);
+    stateData = await admin.firestore().runTransaction(async (t) => {
+      const stateDoc = await t.get(stateRef);
+      if (!stateDoc.exists) return null;
+      t.delete(stateRef);
+      return stateDoc.data();
+    });
+
+    if (!stateData || stateData.orgId !== orgId) {
+      stateData = null;
+      return fail(400, "Invalid or already used SSO state");
+    }
+
+    if (stateData.expiresAt.toMillis() < Date.now()) {
+      return fail(400, "SSO login took too long, please try again");
+    }
+
+    if (idpError || !code) {
+      return fail(401, `Identity provider error: ${idpError || "no code"}`);
+    }
+
+    const organization = await getSsoOrganization(orgId);
+    if (!organization) {
+      return fail(404, "SSO is not configured for this organization");
+    }
+
+    const claims = await exchangeCodeForClaims(
+      organization,
+      getRedirectUri(orgId, organization),
+      {
+        code,
+        codeVerifier: stateData.codeVerifier,
+        nonce: stateData.nonce,
+      }
+    );
+
+    const attempt = {
+      email: claims.email || claims.sub,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    };
+
+    const result = await resolveSsoUser(orgId, organization, claims);
+    if (result.error) {
+      await recordLoginAttempt({
+        ...attempt,
+        outcome: "failure",
+        errorCode: "SSO_REJECTED",
+      });
+      return fail(result.status, result.error);
+    }
+
+    await recordLoginAttempt({
+      ...attempt,
+      userId: result.uid,
+      outcome: "success",
+    });
+
+    // Browser flow: hand the frontend a short-lived one-time code rather
+    // than putting tokens in the URL
+    if (stateData.redirectTo) {
+      const loginCode = crypto.randomBytes(32).toString("base64url");
+      await admin
+        .firestore()
+        .collection("sso_logins")
+        .doc(loginCode)
+        .set({
+          uid: result.uid,
+          orgId,
+          expiresAt: admin.firestore.Timestamp.fromMillis(
+            Date.now() + LOGIN_CODE_TTL_MS
+          ),
+        });
+
+      return res.redirect(
+        withQuery(stateData.redirectTo, { ssoCode: loginCode })
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      ...(await issuePortalTokens(req, result.uid, orgId)),
+      role: result.role,
+      created: result.created,
+    });
+  } catch (error) {
+    console.error("SSO callback error:", error.response?.data || error);
+    fail(500, "SSO login failed");
+  }
+});
+
+// Swap the one-time code from the callback redirect for portal tokens
+router.post("/exchange", async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Code is required",
+      });
+    }
+
+    const loginRef = admin.firestore().collection("sso_logins").doc(code);
+    const login = await admin.firestore().runTransaction(async (t) => {
+      const loginDoc = await t.get(loginRef);
+      if (!loginDoc.exists) return null;
+      t.delete(loginRef);
+      return loginDoc.data();
+    });
+
+    if (!login || login.expiresAt.toMillis() < Date.now()) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired code",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      ...(await issuePortalTokens(req, login.uid, login.orgId)),
+    });
+  } catch (error) {
+    console.error("SSO code exchange error:", error.response?.data || error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to complete SSO login",
+      error: error.message,
+    });
+  }
+});
+
+export default router;
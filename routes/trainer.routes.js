@@ -0,0 +1,190 @@
+import express from "express";
+import admin from "../config/firebase.config.js";
+import authenticateUser from "../middlewares/auth.middleware.js";
+import requirePermission from "../middlewares/permission.middleware.js";
+import { getTrainerAssignments } from "../utils/trainerScope.js";
+import { findBatchById } from "../utils/trainees.js";
+
+const router = express.Router();
+
+// Get all trainer assignments
+router.get(
+  "/assignments",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const snapshot = await admin
+        .firestore()
+        .collection("trainer_assignments")
+        .get();
+
+      const assignments = snapshot.docs.map((doc) => ({
+        userId: doc.id,
+        ...doc.data(),
+      }));
+
+      res.status(200).json({
+        success: true,
+        data: assignments,
+      });
+    } catch (error) {
+      console.error("Error fetching trainer assignments:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch trainer assignments",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Batches and courses assigned to the calling user
+router.get("/me/assignments", authenticateUser, async (req, res) => {
+  try {
+    const assignments = await getTrainerAssignments(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      data: assignments,
+    });
+  } catch (error) {
+    console.error("Error fetching trainer assignments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch trainer assignments",
+      error: error.message,
+    });
+  }
+});
+
+// Batches and courses assigned to a trainer
+router.get(
+  "/:userId/assignments",
+  authenticateUser,
+  requirePermission("users", "view"),
+  async (req, res) => {
+    try {
+      const assignments = await getTrainerAssignments(req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        data: assignments,
+      });
+    } catch (error) {
+      console.error("Error fetching trainer assignments:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch trainer assignments",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Replace a trainer's batch and/or course assignments
+router.put(
+  "/:userId/assignments",
+  authenticateUser,
+  requirePermission("users", "edit"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { batchIds, courseIds } = req.body;
+
+      if (batchIds === undefined && courseIds === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide batchIds and/or courseIds",
+        });
+      }
+
+      for (const [field, value] of [
+        ["batchIds", batchIds],
+        ["courseIds", courseIds],
+      ]) {
+        if (
+          value !== undefined &&
+          (!Array.isArray(value) || value.some((id) => typeof id !== "string"))
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: `${field} must be an array of IDs`,
+          });
+        }
+      }
+
+      const userDoc = await admin
+        .firestore()
+        .collection("user_manage")
+        .doc(userId)
+        .get();
+
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Reject unknown batches and courses
+      const unknownBatchIds = [];
+      for (const batchId of batchIds || []) {
+        if (!(await findBatchById(batchId))) {
+          unknownBatchIds.push(batchId);
+        }
+      }
+
+      const unknownCourseIds = [];
+      for (const courseId of courseIds || []) {
+        const courseDoc = await admin
+          .firestore()
+          .collection("courses")
+          .doc(courseId)
+          .get();
+        if (!courseDoc.exists) {
+          unknownCourseIds.push(courseId);
+        }
+      }
+
+      if (unknownBatchIds.length > 0 || unknownCourseIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Some batches or courses were not found",
+          unknownBatchIds,
+          unknownCourseIds,
+        });
+      }
+
+      const updateData = {
+        updatedBy: req.user.email || req.user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      if (batchIds !== undefined) updateData.batchIds = [...new Set(batchIds)];
+      if (courseIds !== undefined) {
+        updateData.courseIds = [...new Set(courseIds)];
+      }
+
+      await admin
+        .firestore()
+        .collection("trainer_assignments")
+        .doc(userId)
+        .set(updateData, { merge: true });
+
+      res.status(200).json({
+        success: true,
+        message: "Trainer assignments updated successfully",
+        data: await getTrainerAssignments(userId),
+      });
+    } catch (error) {
+      console.error("Error updating trainer assignments:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update trainer assignments",
+        error: error.message,
+      });
+    }
+  }
+);
+
+export default router;
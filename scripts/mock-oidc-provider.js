@@ -0,0 +1,290 @@
+// Local OpenID Connect provider for trying the SSO login flow without a
+// real identity provider.
+//
+//   npm run mock-oidc
+//
+// Then add an organization to app_config/sso that points at it:
+//
+//   organizations: {
+//     mock: {
+//       name: "Mock IdP",
+//       issuer: "http://localhost:4400",
+//       clientId: "portal",
+//       clientSecret: "mock-secret",
+//       emailDomains: ["example.com"],
+//       roleMapping: [{ group: "trainers", role: "Trainer" }],
+//       defaultRole: "Trainee",
+//     },
+//   }
+//
+// and open /api/auth/sso/mock/start?redirectTo=<frontend URL> in a browser.
+// The provider shows a form to pick the email, name, groups and
+// email_verified value of the identity it signs in. With
+// MOCK_OIDC_AUTO_APPROVE=true it signs in the defaults straight away, which
+// suits scripted runs.
+//
+// Environment: MOCK_OIDC_PORT (4400), MOCK_OIDC_CLIENT_ID (portal),
+// MOCK_OIDC_CLIENT_SECRET (mock-secret), MOCK_OIDC_EMAIL
+// (trainee@example.com), MOCK_OIDC_NAME, MOCK_OIDC_GROUPS (comma separated)
+
+import http from "http";
+import crypto from "crypto";
+import { generateKeyPair, exportJWK, SignJWT } from "jose";
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4400;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || "portal";
+const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret";
+const autoApprove = process.env.MOCK_OIDC_AUTO_APPROVE === "true";
+
+const defaults = {
+  email: process.env.MOCK_OIDC_EMAIL || "trainee@example.com",
+  name: process.env.MOCK_OIDC_NAME || "Mock User",
+  groups: process.env.MOCK_OIDC_GROUPS || "",
+  emailVerified: "true",
+};
+
+const CODE_TTL_MS = 60 * 1000;
+const KEY_ID = "mock-key";
+
+const { publicKey, privateKey } = await generateKeyPair("RS256");
+const jwks = { keys: [{ ...(await exportJWK(publicKey)), kid: KEY_ID }] };
+
+// Authorization codes waiting to be exchanged, by code
+const pendingCodes = new Map();
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+
+// Basic auth or client_secret_post, whichever the client used
+const readClientCredentials = (req, form) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(header.slice(6), "base64")
+      .toString()
+      .split(":");
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret) };
+  }
+  return { id: form.get("client_id"), secret: form.get("client_secret") };
+};
+
+// Check the parameters of an authorization request. Returns an error
+// message or null.
+const checkAuthorizeRequest = (params) => {
+  if (params.get("response_type") !== "code") {
+    return "response_type must be code";
+  }
+  if (params.get("client_id") !== clientId) return "Unknown client_id";
+  if (!params.get("redirect_uri")) return "redirect_uri is required";
+  if (params.get("code_challenge_method") !== "S256") {
+    return "PKCE with S256 is required";
+  }
+  return null;
+};
+
+const issueCode = (res, params, identity) => {
+  const code = crypto.randomBytes(24).toString("base64url");
+  pendingCodes.set(code, {
+    redirectUri: params.get("redirect_uri"),
+    codeChallenge: params.get("code_challenge"),
+    nonce: params.get("nonce"),
+    identity,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const target = new URL(params.get("redirect_uri"));
+  target.searchParams.set("code", code);
+  if (params.get("state")) {
+    target.searchParams.set("state", params.get("state"));
+  }
+  res.writeHead(302, { Location: target.toString() });
+  res.end();
+};
+
+const toIdentity = (values) => ({
+  email: values.email,
+  name: values.name,
+  groups: values.groups
+    .split(",")
+    .map((group) => group.trim())
+    .filter(Boolean),
+  emailVerified: values.emailVerified === "true",
+});
+
+const renderLoginForm = (res, params) => {
+  const hidden = [
+    "response_type",
+    "client_id",
+    "redirect_uri",
+    "state",
+    "nonce",
+    "code_challenge",
+    "code_challenge_method",
+  ]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(
+          params.get(name) || ""
+        )}">`
+    )
+    .join("\n");
+
+  res.writeHead(200, { "Content-Type": "text/html" });
+  res.end(`<!doctype html>
+<title>Mock OIDC login</title>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email <input name="email" value="${escapeHtml(
+    params.get("login_hint") || defaults.email
+  )}"></label></p>
+<p><label>Name <input name="name" value="${escapeHtml(
+    defaults.name
+  )}"></label></p>
+<p><label>Groups <input name="groups" value="${escapeHtml(
+    defaults.groups
+  )}"></label> (comma separated)</p>
+<p><label>email_verified
+<select name="emailVerified"><option>true</option><option>false</option></select>
+</label></p>
+<p><button>Sign in</button></p>
+</form>`);
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  const client = readClientCredentials(req, form);
+
+  if (client.id !== clientId || client.secret !== clientSecret) {
+    return sendJson(res, 401, { error: "invalid_client" });
+  }
+  if (form.get("grant_type") !== "authorization_code") {
+    return sendJson(res, 400, { error: "unsupported_grant_type" });
+  }
+
+  // Codes are single use
+  const code = form.get("code");
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(form.get("code_verifier") || "")
+    .digest("base64url");
+
+  if (
+    !pending ||
+    pending.expiresAt < Date.now() ||
+    pending.redirectUri !== form.get("redirect_uri") ||
+    pending.codeChallenge !== challenge
+  ) {
+    return sendJson(res, 400, { error: "invalid_grant" });
+  }
+
+  const { identity } = pending;
+  const idToken = await new SignJWT({
+    email: identity.email,
+    email_verified: identity.emailVerified,
+    name: identity.name,
+    groups: identity.groups,
+    ...(pending.nonce && { nonce: pending.nonce }),
+  })
+    .setProtectedHeader({ alg: "RS256", kid: KEY_ID })
+    .setIssuer(issuer)
+    .setAudience(clientId)
+    .setSubject(`mock|${identity.email}`)
+    .setIssuedAt()
+    .setExpirationTime("5m")
+    .sign(privateKey);
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, issuer);
+
+    if (
+      req.method === "GET" &&
+      url.pathname === "/.well-known/openid-configuration"
+    ) {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+      });
+    }
+
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      return sendJson(res, 200, jwks);
+    }
+
+    if (url.pathname === "/authorize") {
+      const params =
+        req.method === "POST" ? await readForm(req) : url.searchParams;
+      const error = checkAuthorizeRequest(params);
+      if (error)
+        return sendJson(res, 400, {
+          error: "invalid_request",
+          error_description: error,
+        });
+
+      if (req.method === "POST") {
+        return issueCode(
+          res,
+          params,
+          toIdentity({
+            email: params.get("email") || defaults.email,
+            name: params.get("name") || defaults.name,
+            groups: params.get("groups") || "",
+            emailVerified: params.get("emailVerified") || "true",
+          })
+        );
+      }
+
+      return autoApprove
+        ? issueCode(res, params, toIdentity(defaults))
+        : renderLoginForm(res, params);
+    }
+
+    if (req.method === "POST" && url.pathname === "/token") {
+      return await handleToken(req, res);
+    }
+
+    sendJson(res, 404, { error: "not_found" });
+  } catch (error) {
+    console.error("Mock OIDC provider error:", error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock OIDC provider running at ${issuer}`);
+  console.log(`client_id=${clientId} client_secret=${clientSecret}`);
+});
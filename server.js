@@ -7,6 +7,9 @@ dotenv.config();
 
 const app = express();
 
+// Behind the hosting proxy, so req.ip is the client address
+app.set("trust proxy", 1);
+
 // Middleware
 app.use(
   cors({
@@ -32,11 +35,16 @@ import attendanceRoutes from "./routes/attendance.routes.js";
 import enrollmentRoutes from "./routes/enrollment.routes.js";
 import assignmentRoutes from "./routes/assignment.routes.js";
 import rankingRoutes from "./routes/ranking.routes.js";
+import trainerRoutes from "./routes/trainer.routes.js";
+import apiKeyRoutes from "./routes/apiKey.routes.js";
+import invitationRoutes from "./routes/invitation.routes.js";
+import ssoRoutes from "./routes/sso.routes.js";
 
 // Apply routes
 app.use("/api/test", testRoutes);
 app.use("/api", uploadRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/sso", ssoRoutes);
 app.use("/api/roles", roleRoutes);
 app.use("/api/courses", courseRoutes);
 app.use("/api/batches", batchRoutes);
@@ -45,6 +53,9 @@ app.use("/api/attendance", attendanceRoutes);
 app.use("/api/enrollments", enrollmentRoutes);
 app.use("/api/assignment", assignmentRoutes);
 app.use("/api/ranking", rankingRoutes);
+app.use("/api/trainers", trainerRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/invitations", invitationRoutes);
 
 // Basic route
 app.get("/", (req, res) => {
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import admin from "../config/firebase.config.js";
+
+// Keys look like "iqk_<keyId>_<secret>"; only a SHA-256 hash of the whole
+// key is stored in api_keys/{keyId}
+const KEY_PREFIX = "iqk";
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// Create a new random key for the given document ID
+export const generateApiKey = (keyId) =>
+  `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString("base64url")}`;
+
+// Strip the IPv4-mapped IPv6 prefix Node adds to IPv4 addresses
+const normalizeIp = (ip) => (ip || "").replace(/^::ffff:/, "");
+
+const ipv4ToNumber = (ip) =>
+  ip.split(".").reduce((total, part) => total * 256 + parseInt(part), 0);
+
+// Match an address against exact IPs or IPv4 CIDR ranges (e.g. 10.0.0.0/24)
+export function isIpAllowed(ip, allowlist) {
+  if (!allowlist || allowlist.length === 0) return true;
+
+  const address = normalizeIp(ip);
+
+  return allowlist.some((entry) => {
+    if (!entry.includes("/")) {
+      return normalizeIp(entry) === address;
+    }
+
+    const [range, bits] = entry.split("/");
+    if (!/^\d+\.\d+\.\d+\.\d+$/.test(address)) return false;
+
+    const mask = bits === "0" ? 0 : (~0 << (32 - parseInt(bits))) >>> 0;
+    return (
+      (ipv4ToNumber(address) & mask) >>> 0 ===
+      (ipv4ToNumber(range) & mask) >>> 0
+    );
+  });
+}
+
+export const isValidIpEntry = (entry) =>
+  typeof entry === "string" &&
+  (/^\d{1,3}(\.\d{1,3}){3}(\/([0-9]|[12][0-9]|3[0-2]))?$/.test(entry) ||
+    /^[0-9a-f:]+$/i.test(entry));
+
+// Look up and check a raw key.
+// Returns { key: { id, ...keyData } } or { error: "reason" }.
+export async function verifyApiKey(rawKey, ip) {
+  const [prefix, keyId] = String(rawKey).split("_");
+  if (prefix !== KEY_PREFIX || !keyId) {
+    return { error: "Invalid API key" };
+  }
+
+  const keyDoc = await admin
+    .firestore()
+    .collection("api_keys")
+    .doc(keyId)
+    .get();
+
+  if (!keyDoc.exists) {
+    return { error: "Invalid API key" };
+  }
+
+  const keyData = keyDoc.data();
+  const expected = Buffer.from(keyData.keyHash, "hex");
+  const actual = Buffer.from(hashApiKey(rawKey), "hex");
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { error: "Invalid API key" };
+  }
+
+  if (keyData.revoked) {
+    return { error: "API key has been revoked" };
+  }
+
+  if (keyData.expiresAt && keyData.expiresAt.toDate() < new Date()) {
+    return { error: "API key has expired" };
+  }
+
+  if (!isIpAllowed(ip, keyData.ipAllowlist)) {
+    return { error: "API key is not allowed from this IP address" };
+  }
+
+  return { key: { id: keyDoc.id, ...keyData } };
+}
+
+// Bump the key's usage counters; failures are only logged
+export async function recordApiKeyUsage(keyId, ip) {
+  try {
+    await admin
+      .firestore()
+      .collection("api_keys")
+      .doc(keyId)
+      .update({
+        "usage.count": admin.firestore.FieldValue.increment(1),
+        "usage.lastUsedAt": admin.firestore.FieldValue.serverTimestamp(),
+        "usage.lastUsedIp": normalizeIp(ip) || null,
+      });
+  } catch (error) {
+    console.error("Error recording API key usage:", error);
+  }
+}
@@ -0,0 +1,198 @@
+import admin from "../config/firebase.config.js";
+
+export const CATALOG_SORT_FIELDS = [
+  "title",
+  "course_fee",
+  "nextStartDate",
+  "publishedAt",
+];
+
+// "Open": an upcoming batch has seats, "Full": upcoming batches are all
+// full, "Closed": nothing upcoming
+export const ENROLLMENT_STATUSES = ["Open", "Full", "Closed"];
+
+const toDate = (value) =>
+  value && typeof value.toDate === "function" ? value.toDate() : value || null;
+
+// Firestore caps "in" queries at 30 values
+const MAX_IN_VALUES = 30;
+
+// The batches docs of the given courses, read with one query per 30 courses
+async function getBatchDocs(courseIds) {
+  const batchesRef = admin.firestore().collection("batches");
+  if (courseIds.length === 1) {
+    return (await batchesRef.where("courseId", "==", courseIds[0]).get()).docs;
+  }
+
+  const chunks = [];
+  for (let i = 0; i < courseIds.length; i += MAX_IN_VALUES) {
+    chunks.push(courseIds.slice(i, i + MAX_IN_VALUES));
+  }
+  const snapshots = await Promise.all(
+    chunks.map((chunk) => batchesRef.where("courseId", "in", chunk).get())
+  );
+  return snapshots.flatMap((snapshot) => snapshot.docs);
+}
+
+// Upcoming batches per course with their remaining seats.
+// Returns a Map of courseId -> batches sorted by start date.
+export async function getUpcomingBatches(courseIds) {
+  const now = new Date();
+  const upcoming = [];
+
+  const batchDocs = await getBatchDocs([...new Set(courseIds)]);
+  batchDocs.forEach((doc) => {
+    const batchData = doc.data();
+
+    Object.keys(batchData).forEach((key) => {
+      const batchInfo = batchData[key];
+      if (!batchInfo || typeof batchInfo !== "object" || !batchInfo.suffix) {
+        return;
+      }
+
+      const startDate = toDate(batchInfo.trainingStartDate);
+      if (!startDate || startDate <= now) return;
+
+      upcoming.push({
+        courseId: batchData.courseId,
+        batchId: key,
+        suffix: batchInfo.suffix,
+        trainingStartDate: startDate,
+        trainingEndDate: toDate(batchInfo.trainingEndDate),
+        enrollLimit: parseInt(batchInfo.enrollLimit) || 0,
+      });
+    });
+  });
+
+  // Seats taken are the active trainees on each batch's roster
+  const rosterDocs =
+    upcoming.length > 0
+      ? await admin
+          .firestore()
+          .getAll(
+            ...upcoming.map((batch) =>
+              admin.firestore().collection("trainees").doc(batch.batchId)
+            )
+          )
+      : [];
+
+  const batchesByCourse = new Map();
+  upcoming.forEach((batch, index) => {
+    const rosterDoc = rosterDocs[index];
+    const enrolled = rosterDoc.exists
+      ? (rosterDoc.data().trainees || []).filter((t) => !t.archived).length
+      : 0;
+
+    const { courseId, enrollLimit, ...details } = batch;
+    const courseBatches = batchesByCourse.get(courseId) || [];
+    courseBatches.push({
+      ...details,
+      // Batches without an enroll limit never fill up
+      totalSeats: enrollLimit || null,
+      remainingSeats: enrollLimit ? Math.max(enrollLimit - enrolled, 0) : null,
+    });
+    batchesByCourse.set(courseId, courseBatches);
+  });
+
+  batchesByCourse.forEach((batches) =>
+    batches.sort((a, b) => a.trainingStartDate - b.trainingStartDate)
+  );
+  return batchesByCourse;
+}
+
+export function getEnrollmentStatus(batches) {
+  if (batches.length === 0) return "Closed";
+  return batches.some((batch) => batch.remainingSeats !== 0) ? "Open" : "Full";
+}
+
+// Public fields of a published course. Anything not listed here (createdBy,
+// updatedBy, testimonial emails, draft bookkeeping) never leaves the API.
+export function toCatalogCourse(documentId, course, batches, { detailed }) {
+  const modules = course.modules || [];
+
+  const summary = {
+    documentId,
+    title: course.title || "",
+    instructor: course.instructor || "",
+    skill: course.skill || "",
+    course_fee: course.course_fee || 0,
+    description: course.description || "",
+    thumbnail: course.thumbnail
+      ? { url: course.thumbnail.url, formats: course.thumbnail.formats || {} }
+      : null,
+    course_info: course.course_info || null,
+    moduleCount: modules.length,
+    lessonCount: modules.reduce(
+      (count, module) => count + (module.lessons || []).length,
+      0
+    ),
+    publishedAt: toDate(course.publishedAt),
+    enrollmentStatus: getEnrollmentStatus(batches),
+    upcomingBatches: batches,
+  };
+
+  if (!detailed) return summary;
+
+  return {
+    ...summary,
+    about: course.about || null,
+    outcomes: course.outcomes || null,
+    modules: modules.map((module) => ({
+      title: module.title || "",
+      lessons: (module.lessons || []).map((lesson) => ({
+        title: lesson.title || "",
+      })),
+    })),
+    testimonials: (course.testimonials || []).map((testimonial) => ({
+      name: testimonial.name || "Anonymous",
+      rating: testimonial.rating,
+      comment: testimonial.comment,
+      date: testimonial.date || null,
+    })),
+  };
+}
+
+// Bookkeeping fields of a course doc that only course editors see
+const INTERNAL_COURSE_FIELDS = [
+  "createdBy",
+  "updatedBy",
+  "hasUnpublishedChanges",
+  "clonedFrom",
+  "lessonIdMigration",
+];
+
+// A full course doc without its internal fields or testimonial emails,
+// for callers who can't edit courses
+export function withoutInternalFields(course) {
+  const visible = { ...course };
+  INTERNAL_COURSE_FIELDS.forEach((field) => delete visible[field]);
+  if (Array.isArray(course.testimonials)) {
+    visible.testimonials = course.testimonials.map(
+      ({ email, ...testimonial }) => testimonial
+    );
+  }
+  return visible;
+}
+
+// Compare two catalog courses for sorting; missing values sort last
+// in either order
+export function compareCatalogCourses(a, b, sortBy, order) {
+  const valueOf = (course) => {
+    const value =
+      sortBy === "nextStartDate"
+        ? course.upcomingBatches[0]?.trainingStartDate
+        : course[sortBy];
+    if (value instanceof Date) return value.getTime();
+    return typeof value === "string" ? value.toLowerCase() : value;
+  };
+
+  const aValue = valueOf(a);
+  const bValue = valueOf(b);
+  if (aValue == null || bValue == null) {
+    return (aValue == null) - (bValue == null);
+  }
+  const direction = order === "desc" ? -1 : 1;
+  if (aValue < bValue) return -direction;
+  if (aValue > bValue) return direction;
+  return a.documentId.localeCompare(b.documentId);
+}
@@ -0,0 +1,270 @@
+import crypto from "crypto";
+import admin from "../config/firebase.config.js";
+
+// Every module and lesson carries a permanent id ("mod_…" / "les_…").
+// Batch progress (completedLessons) is keyed by lesson id, so adding,
+// removing or reordering lessons never shifts it. Older batches used
+// "<moduleIndex>-<lessonIndex>" keys; see ensureCourseLessonIds.
+
+const LEGACY_LESSON_KEY = /^(\d+)-(\d+)$/;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+export const newModuleId = () => newId("mod");
+export const newLessonId = () => newId("les");
+
+export const hasAllIds = (modules = []) =>
+  modules.every(
+    (module) =>
+      module?.id && (module.lessons || []).every((lesson) => lesson?.id)
+  );
+
+// Give ids to modules and lessons that lack them. Where possible the id of
+// a reference module/lesson with the same title is reused, so content sent
+// back without ids (e.g. a full modules array or an old revision) keeps the
+// ids the live course already uses. Duplicate ids are replaced.
+export function assignLessonIds(modules = [], referenceModules = []) {
+  const usedModuleIds = new Set();
+  const usedLessonIds = new Set();
+
+  const takeMatch = (candidates, title, used) => {
+    const match = candidates.find(
+      (candidate) =>
+        candidate?.id && candidate.title === title && !used.has(candidate.id)
+    );
+    return match || null;
+  };
+
+  return modules.map((module) => {
+    let moduleId =
+      module.id && !usedModuleIds.has(module.id) ? module.id : null;
+    const reference =
+      referenceModules.find((candidate) => candidate?.id === moduleId) ||
+      (!moduleId && takeMatch(referenceModules, module.title, usedModuleIds)) ||
+      null;
+    moduleId = moduleId || reference?.id || newModuleId();
+    usedModuleIds.add(moduleId);
+
+    // Prefer lessons of the matching module, then any lesson in the course
+    const referenceLessons = [
+      ...(reference?.lessons || []),
+      ...referenceModules.flatMap((candidate) => candidate?.lessons || []),
+    ];
+
+    return {
+      ...module,
+      id: moduleId,
+      lessons: (module.lessons || []).map((lesson) => {
+        let lessonId =
+          lesson.id && !usedLessonIds.has(lesson.id) ? lesson.id : null;
+        lessonId =
+          lessonId ||
+          takeMatch(referenceLessons, lesson.title, usedLessonIds)?.id ||
+          newLessonId();
+        usedLessonIds.add(lessonId);
+        return { ...lesson, id: lessonId };
+      }),
+    };
+  });
+}
+
+// Copy modules with fresh module and lesson ids, so a cloned course shares
+// no ids (and no batch progress keys) with the course it came from
+export const withNewLessonIds = (modules = []) =>
+  modules.map((module) => ({
+    ...module,
+    id: newModuleId(),
+    lessons: (module.lessons || []).map((lesson) => ({
+      ...lesson,
+      id: newLessonId(),
+    })),
+  }));
+
+export const listLessonIds = (modules = []) =>
+  modules.flatMap((module) =>
+    (module.lessons || []).map((lesson) => lesson.id)
+  );
+
+// Locate a lesson by id. Returns { moduleIndex, lessonIndex } or null.
+export function findLesson(modules, lessonId) {
+  for (let moduleIndex = 0; moduleIndex < modules.length; moduleIndex++) {
+    const lessonIndex = (modules[moduleIndex].lessons || []).findIndex(
+      (lesson) => lesson.id === lessonId
+    );
+    if (lessonIndex !== -1) return { moduleIndex, lessonIndex };
+  }
+  return null;
+}
+
+// Map each lesson's "<moduleIndex>-<lessonIndex>" key to its id
+export function legacyLessonKeys(modules = []) {
+  const keys = {};
+  modules.forEach((module, moduleIndex) =>
+    (module.lessons || []).forEach((lesson, lessonIndex) => {
+      keys[`${moduleIndex}-${lessonIndex}`] = lesson.id;
+    })
+  );
+  return keys;
+}
+
+const hasLegacyKeys = (completedLessons) =>
+  Object.keys(completedLessons).some((key) => LEGACY_LESSON_KEY.test(key));
+
+// Convert legacy keys to lesson ids with a map from legacyLessonKeys.
+// Returns { completedLessons, dropped } where dropped counts keys that
+// point at no lesson.
+export function normalizeCompletedLessons(
+  completedLessons = {},
+  legacyKeys = {}
+) {
+  let dropped = 0;
+  const normalized = {};
+
+  Object.entries(completedLessons).forEach(([key, value]) => {
+    if (!LEGACY_LESSON_KEY.test(key)) {
+      normalized[key] = value;
+      return;
+    }
+
+    const lessonId = legacyKeys[key];
+    if (lessonId) {
+      // An id-keyed entry for the same lesson wins over the legacy one
+      normalized[lessonId] = normalized[lessonId] ?? value;
+    } else {
+      dropped++;
+    }
+  });
+
+  return { completedLessons: normalized, dropped };
+}
+
+const getCourseBatchDocs = async (courseId) =>
+  (
+    await admin
+      .firestore()
+      .collection("batches")
+      .where("courseId", "==", courseId)
+      .get()
+  ).docs;
+
+// Batch fields of a batches doc whose progress still uses legacy keys
+const legacyProgressKeys = (batchData) =>
+  Object.keys(batchData).filter((key) => {
+    const batchInfo = batchData[key];
+    return (
+      batchInfo &&
+      typeof batchInfo === "object" &&
+      batchInfo.suffix &&
+      batchInfo.completedLessons &&
+      hasLegacyKeys(batchInfo.completedLessons)
+    );
+  });
+
+// Re-key every batch of a course from lesson positions to lesson ids,
+// using the positions recorded when the course got its ids.
+// Safe to run repeatedly; only legacy keys are touched.
+export async function migrateBatchProgress(courseId, legacyKeys) {
+  let batchesMigrated = 0;
+  let keysDropped = 0;
+
+  for (const doc of await getCourseBatchDocs(courseId)) {
+    const batchData = doc.data();
+    const updates = {};
+
+    legacyProgressKeys(batchData).forEach((key) => {
+      const { completedLessons, dropped } = normalizeCompletedLessons(
+        batchData[key].completedLessons,
+        legacyKeys
+      );
+      updates[`${key}.completedLessons`] = completedLessons;
+      keysDropped += dropped;
+      batchesMigrated++;
+    });
+
+    if (Object.keys(updates).length > 0) {
+      await doc.ref.update({
+        ...updates,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  }
+
+  return { batchesMigrated, keysDropped };
+}
+
+// Batch entries of a course whose progress still uses legacy keys
+export async function countLegacyProgress(courseId) {
+  return (await getCourseBatchDocs(courseId)).reduce(
+    (count, doc) => count + legacyProgressKeys(doc.data()).length,
+    0
+  );
+}
+
+// Whether the course's batches are still being re-keyed to lesson ids.
+// The live modules must not change until they are, see publishCourse.
+export const isLessonMigrationPending = (course) =>
+  course?.lessonIdMigration?.status === "pending";
+
+// Make sure the live course and its draft have module and lesson ids.
+// When the live course gets them, the lesson positions at that moment are
+// stored on the course (lessonIdMigration) in the same transaction and the
+// migration stays "pending" until every batch is re-keyed from them, so an
+// interrupted migration is simply finished by the next call.
+// Returns the migration counts, or null when there was nothing to do.
+export async function ensureCourseLessonIds(courseId) {
+  const courseRef = admin.firestore().collection("courses").doc(courseId);
+  const draftRef = admin.firestore().collection("course_drafts").doc(courseId);
+
+  const legacyKeys = await admin
+    .firestore()
+    .runTransaction(async (transaction) => {
+      const [courseDoc, draftDoc] = await Promise.all([
+        transaction.get(courseRef),
+        transaction.get(draftRef),
+      ]);
+      if (!courseDoc.exists) return null;
+
+      const course = courseDoc.data();
+      const live = course.modules || [];
+      const draftModules = draftDoc.exists
+        ? draftDoc.data().content?.modules
+        : undefined;
+      const liveHasIds = hasAllIds(live);
+      const pendingKeys = isLessonMigrationPending(course)
+        ? course.lessonIdMigration.legacyKeys
+        : null;
+
+      if (liveHasIds && (!draftModules || hasAllIds(draftModules))) {
+        return pendingKeys;
+      }
+
+      // Adding ids doesn't move anything, so positions still match batches
+      const liveWithIds = liveHasIds ? live : assignLessonIds(live);
+      if (!liveHasIds) {
+        transaction.update(courseRef, {
+          modules: liveWithIds,
+          lessonIdMigration: {
+            status: "pending",
+            legacyKeys: legacyLessonKeys(liveWithIds),
+            startedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        });
+      }
+      if (draftModules && !hasAllIds(draftModules)) {
+        transaction.update(draftRef, {
+          "content.modules": assignLessonIds(draftModules, liveWithIds),
+        });
+      }
+
+      return liveHasIds ? pendingKeys : legacyLessonKeys(liveWithIds);
+    });
+
+  if (!legacyKeys) return null;
+
+  const result = await migrateBatchProgress(courseId, legacyKeys);
+  await courseRef.update({
+    "lessonIdMigration.status": "completed",
+    "lessonIdMigration.completedAt":
+      admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return result;
+}
@@ -0,0 +1,409 @@
+import admin from "../config/firebase.config.js";
+import { v2 as cloudinary } from "cloudinary";
+import { refreshCourseSearchIndex } from "./courseSearch.js";
+import {
+  assignLessonIds,
+  ensureCourseLessonIds,
+  isLessonMigrationPending,
+} from "./courseModules.js";
+
+// Fields that make up a course's content. Edits to these go into
+// course_drafts/{courseId} and only reach the live course on publish.
+export const COURSE_CONTENT_FIELDS = [
+  "title",
+  "instructor",
+  "skill",
+  "course_fee",
+  "description",
+  "thumbnail",
+  "about",
+  "outcomes",
+  "course_info",
+  "modules",
+  "courses",
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+export function pickCourseContent(data = {}) {
+  return COURSE_CONTENT_FIELDS.reduce((content, field) => {
+    if (data[field] !== undefined) content[field] = data[field];
+    return content;
+  }, {});
+}
+
+// List the leaf values that differ between two versions of a course,
+// e.g. { path: "modules[1].lessons[0].title", from: "Intro", to: "Welcome" }
+export function diffCourseContent(before, after, prefix = "") {
+  const changes = [];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      changes.push(
+        ...diffCourseContent(before[i], after[i], `${prefix}[${i}]`)
+      );
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach((key) => {
+      changes.push(
+        ...diffCourseContent(
+          before[key],
+          after[key],
+          prefix ? `${prefix}.${key}` : key
+        )
+      );
+    });
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: prefix, from: before ?? null, to: after ?? null });
+  }
+  return changes;
+}
+
+const courseRef = (courseId) =>
+  admin.firestore().collection("courses").doc(courseId);
+const draftRef = (courseId) =>
+  admin.firestore().collection("course_drafts").doc(courseId);
+const historyRef = (courseId) =>
+  admin.firestore().collection("course_revisions").doc(courseId);
+
+const revisionsRef = (courseId) => historyRef(courseId).collection("revisions");
+
+// Thumbnails are shared between the live course, its draft and its
+// revisions. Remove one from Cloudinary once none of them uses it.
+export async function destroyThumbnailIfUnused(courseId, thumbnail) {
+  const publicId = thumbnail?.public_id;
+  if (!publicId) return false;
+
+  const [courseDoc, draftDoc, revisionUses] = await Promise.all([
+    courseRef(courseId).get(),
+    draftRef(courseId).get(),
+    revisionsRef(courseId)
+      .where("content.thumbnail.public_id", "==", publicId)
+      .limit(1)
+      .get(),
+  ]);
+
+  if (
+    courseDoc.data()?.thumbnail?.public_id === publicId ||
+    draftDoc.data()?.content?.thumbnail?.public_id === publicId ||
+    !revisionUses.empty
+  ) {
+    return false;
+  }
+
+  try {
+    await cloudinary.uploader.destroy(publicId);
+    return true;
+  } catch (error) {
+    console.error(`Error removing course thumbnail "${publicId}":`, error);
+    return false;
+  }
+}
+
+// The course as an editor sees it: live fields overlaid with the draft.
+// Returns null when the course doesn't exist.
+export async function getCourseDraft(courseId) {
+  const [courseDoc, draftDoc] = await Promise.all([
+    courseRef(courseId).get(),
+    draftRef(courseId).get(),
+  ]);
+
+  if (!courseDoc.exists) return null;
+
+  const draft = draftDoc.exists ? draftDoc.data() : null;
+  return {
+    documentId: courseDoc.id,
+    ...courseDoc.data(),
+    ...(draft?.content || {}),
+    hasUnpublishedChanges: Boolean(draft),
+    draftUpdatedAt: draft?.updatedAt?.toDate() || null,
+    draftUpdatedBy: draft?.updatedBy || null,
+  };
+}
+
+// Change the course's draft, starting it from the live course if there
+// isn't one yet. mutate gets the current draft content and returns the
+// fields to update, or { status, error } to leave the draft untouched.
+// Returns { draft } with the editor view, or { status, error }.
+export async function updateCourseDraft(courseId, mutate, updatedBy) {
+  // Drafts always work with lesson ids, see utils/courseModules.js
+  await ensureCourseLessonIds(courseId);
+
+  const result = await admin.firestore().runTransaction(async (transaction) => {
+    const [courseDoc, draftDoc] = await Promise.all([
+      transaction.get(courseRef(courseId)),
+      transaction.get(draftRef(courseId)),
+    ]);
+
+    if (!courseDoc.exists) {
+      return { status: 404, error: "Course not found" };
+    }
+
+    const draft = draftDoc.exists
+      ? draftDoc.data()
+      : {
+          courseId,
+          content: pickCourseContent(courseDoc.data()),
+          baseRevision: courseDoc.data().publishedRevision || 0,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+    const updates = mutate(draft.content);
+    if (updates.error) return updates;
+
+    const content = pickCourseContent(updates);
+    // Modules sent without ids keep the ids of matching draft modules
+    if (content.modules) {
+      content.modules = assignLessonIds(
+        content.modules,
+        draft.content.modules || []
+      );
+    }
+
+    transaction.set(draftRef(courseId), {
+      ...draft,
+      content: { ...draft.content, ...content },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: updatedBy || null,
+    });
+    transaction.update(courseRef(courseId), { hasUnpublishedChanges: true });
+    return {};
+  });
+
+  if (result.error) return result;
+
+  await refreshCourseSearchIndex(courseId);
+  return { draft: await getCourseDraft(courseId) };
+}
+
+// Merge content updates into the course's draft. Returns the editor view,
+// or null when the course doesn't exist.
+export async function saveCourseDraft(courseId, updates, updatedBy) {
+  const result = await updateCourseDraft(courseId, () => updates, updatedBy);
+  return result.draft || null;
+}
+
+export async function discardCourseDraft(courseId) {
+  const draftDoc = await draftRef(courseId).get();
+
+  const batch = admin.firestore().batch();
+  batch.delete(draftRef(courseId));
+  batch.update(courseRef(courseId), { hasUnpublishedChanges: false });
+  await batch.commit();
+
+  await refreshCourseSearchIndex(courseId);
+  await destroyThumbnailIfUnused(courseId, draftDoc.data()?.content?.thumbnail);
+}
+
+// Promote the draft to the live course and record it as the next revision.
+// A course that was never published can be published without a draft.
+// Returns { revision } or { status, error }.
+export async function publishCourse(courseId, publishedBy, note) {
+  // Batches must be keyed by lesson id before the live modules change
+  await ensureCourseLessonIds(courseId);
+
+  const result = await admin.firestore().runTransaction(async (transaction) => {
+    const [courseDoc, draftDoc, historyDoc] = await Promise.all([
+      transaction.get(courseRef(courseId)),
+      transaction.get(draftRef(courseId)),
+      transaction.get(historyRef(courseId)),
+    ]);
+
+    if (!courseDoc.exists) {
+      return { status: 404, error: "Course not found" };
+    }
+
+    const course = courseDoc.data();
+    // Batches still keyed by the current lesson positions would shift
+    if (isLessonMigrationPending(course)) {
+      return {
+        status: 409,
+        error:
+          "Batch progress is still being migrated to lesson ids, try again shortly",
+      };
+    }
+
+    if (!draftDoc.exists && course.courseStatus === "Published") {
+      return { status: 409, error: "Course has no unpublished changes" };
+    }
+
+    const live = pickCourseContent(course);
+    const content = draftDoc.exists ? draftDoc.data().content : live;
+    const revision =
+      (historyDoc.exists ? historyDoc.data().latestRevision : 0) + 1;
+
+    transaction.set(historyRef(courseId), {
+      courseId,
+      latestRevision: revision,
+    });
+    transaction.set(
+      historyRef(courseId).collection("revisions").doc(String(revision)),
+      {
+        courseId,
+        revision,
+        content,
+        previousRevision: course.publishedRevision || null,
+        changes: diffCourseContent(live, content).map(({ path }) => path),
+        note: note || null,
+        restoredFrom: draftDoc.exists
+          ? draftDoc.data().restoredFrom || null
+          : null,
+        publishedBy: publishedBy || null,
+        publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }
+    );
+
+    // Sections missing from the published content (e.g. a restored revision
+    // from before they were added) are removed from the live course
+    const removedFields = COURSE_CONTENT_FIELDS.filter(
+      (field) => content[field] === undefined && live[field] !== undefined
+    ).reduce((fields, field) => {
+      fields[field] = admin.firestore.FieldValue.delete();
+      return fields;
+    }, {});
+
+    transaction.update(courseRef(courseId), {
+      ...removedFields,
+      ...content,
+      courseStatus: "Published",
+      publishedRevision: revision,
+      publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      hasUnpublishedChanges: false,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: publishedBy || null,
+    });
+    if (draftDoc.exists) {
+      transaction.delete(draftRef(courseId));
+    }
+
+    return { revision, previousThumbnail: live.thumbnail };
+  });
+
+  if (result.revision) {
+    await refreshCourseSearchIndex(courseId);
+    // Live thumbnails from before revisions existed aren't kept by any
+    await destroyThumbnailIfUnused(courseId, result.previousThumbnail);
+  }
+  return result;
+}
+
+// Published revisions of a course, newest first, without their content
+export async function listCourseRevisions(courseId, limit) {
+  const snapshot = await historyRef(courseId)
+    .collection("revisions")
+    .orderBy("revision", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const { content, ...revision } = doc.data();
+    return {
+      ...revision,
+      publishedAt: revision.publishedAt?.toDate() || null,
+    };
+  });
+}
+
+export async function getCourseRevision(courseId, revision) {
+  const revisionDoc = await historyRef(courseId)
+    .collection("revisions")
+    .doc(String(revision))
+    .get();
+
+  if (!revisionDoc.exists) return null;
+
+  const data = revisionDoc.data();
+  return { ...data, publishedAt: data.publishedAt?.toDate() || null };
+}
+
+// Replace the draft with an older revision's content so it can be
+// reviewed and published like any other edit
+export async function restoreCourseRevision(courseId, revision, restoredBy) {
+  const revisionData = await getCourseRevision(courseId, revision);
+  if (!revisionData) return null;
+
+  await ensureCourseLessonIds(courseId);
+  const [courseDoc, previousDraftDoc] = await Promise.all([
+    courseRef(courseId).get(),
+    draftRef(courseId).get(),
+  ]);
+
+  // Revisions from before lesson ids existed reuse the live course's ids
+  const content = { ...revisionData.content };
+  if (content.modules) {
+    content.modules = assignLessonIds(
+      content.modules,
+      courseDoc.data()?.modules || []
+    );
+  }
+
+  const batch = admin.firestore().batch();
+  batch.set(draftRef(courseId), {
+    courseId,
+    content,
+    baseRevision: courseDoc.data()?.publishedRevision || 0,
+    restoredFrom: revisionData.revision,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: restoredBy || null,
+  });
+  batch.update(courseRef(courseId), { hasUnpublishedChanges: true });
+  await batch.commit();
+
+  await refreshCourseSearchIndex(courseId);
+  await destroyThumbnailIfUnused(
+    courseId,
+    previousDraftDoc.data()?.content?.thumbnail
+  );
+  return getCourseDraft(courseId);
+}
+
+// Delete a course with its draft and revision history, and every
+// thumbnail any of them used
+export async function deleteCourse(courseId) {
+  const [courseDoc, draftDoc, revisionsSnapshot] = await Promise.all([
+    courseRef(courseId).get(),
+    draftRef(courseId).get(),
+    revisionsRef(courseId).get(),
+  ]);
+
+  const publicIds = new Set(
+    [
+      courseDoc.data()?.thumbnail,
+      draftDoc.data()?.content?.thumbnail,
+      ...revisionsSnapshot.docs.map((doc) => doc.data().content?.thumbnail),
+    ]
+      .map((thumbnail) => thumbnail?.public_id)
+      .filter(Boolean)
+  );
+
+  const refs = [
+    ...revisionsSnapshot.docs.map((doc) => doc.ref),
+    historyRef(courseId),
+    draftRef(courseId),
+    courseRef(courseId),
+  ];
+  for (let i = 0; i < refs.length; i += 450) {
+    const batch = admin.firestore().batch();
+    refs.slice(i, i + 450).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+
+  await refreshCourseSearchIndex(courseId);
+
+  for (const publicId of publicIds) {
+    try {
+      await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+      console.error(`Error removing course thumbnail "${publicId}":`, error);
+    }
+  }
+}
@@ -0,0 +1,288 @@
+import admin from "../config/firebase.config.js";
+
+// course_search_index/{courseId} holds the searchable text of a course:
+//   live:  { tokens, entries } for the published (live) content
+//   draft: { tokens, entries } for unpublished edits, or null
+// tokens drives the Firestore candidate query, entries are scored and
+// turned into snippets in memory.
+
+// Firestore caps array-contains-any at 30 values; longer queries use the
+// first ones for candidates and still score on all of them
+const MAX_QUERY_TOKENS = 30;
+const SNIPPET_LENGTH = 160;
+const MATCHES_PER_COURSE = 3;
+
+// How much a hit in each part of the course counts towards its rank
+const FIELD_WEIGHTS = {
+  title: 10,
+  module: 5,
+  lesson: 4,
+  outcomes: 3,
+  description: 2,
+  about: 1,
+};
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "into",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+  "you",
+  "your",
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and fold simple plurals so "modules" finds "module"
+const normalizeWord = (word) => {
+  const lower = word.toLowerCase();
+  return lower.length > 3 && lower.endsWith("s") && !lower.endsWith("ss")
+    ? lower.slice(0, -1)
+    : lower;
+};
+
+export function tokenize(text) {
+  return [
+    ...new Set(
+      (String(text || "").match(WORD_PATTERN) || [])
+        .map(normalizeWord)
+        .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+    ),
+  ];
+}
+
+// Section items may be plain strings or objects of strings
+const textOf = (item) =>
+  typeof item === "string"
+    ? item
+    : item && typeof item === "object"
+    ? Object.values(item)
+        .filter((value) => typeof value === "string")
+        .join(" ")
+    : "";
+
+// Flatten a course's content into searchable entries
+export function buildSearchEntries(content = {}) {
+  const entries = [];
+  const add = (field, text, location = {}) => {
+    if (text && String(text).trim()) {
+      entries.push({ field, text: String(text).trim(), ...location });
+    }
+  };
+
+  add("title", content.title);
+  add("description", textOf(content.description));
+  (content.about?.paragraphs || []).forEach((paragraph) =>
+    add("about", textOf(paragraph))
+  );
+  (content.outcomes?.items || []).forEach((item) =>
+    add("outcomes", textOf(item))
+  );
+
+  const modules = content.modules || content.courses?.modules || [];
+  modules.forEach((module, moduleIndex) => {
+    const moduleTitle = module?.title || "";
+    const moduleLocation = {
+      moduleIndex,
+      moduleTitle,
+      ...(module?.id && { moduleId: module.id }),
+    };
+    add("module", moduleTitle, moduleLocation);
+    (module?.lessons || []).forEach((lesson, lessonIndex) =>
+      add("lesson", lesson?.title, {
+        ...moduleLocation,
+        lessonIndex,
+        lessonTitle: lesson?.title || "",
+        ...(lesson?.id && { lessonId: lesson.id }),
+      })
+    );
+  });
+
+  return {
+    entries,
+    tokens: [...new Set(entries.flatMap((entry) => tokenize(entry.text)))],
+  };
+}
+
+// Rebuild the index entry of one course from its live doc and draft
+export async function indexCourse(courseId) {
+  const [courseDoc, draftDoc] = await Promise.all([
+    admin.firestore().collection("courses").doc(courseId).get(),
+    admin.firestore().collection("course_drafts").doc(courseId).get(),
+  ]);
+
+  const indexRef = admin
+    .firestore()
+    .collection("course_search_index")
+    .doc(courseId);
+
+  if (!courseDoc.exists) {
+    await indexRef.delete();
+    return;
+  }
+
+  const course = courseDoc.data();
+  await indexRef.set({
+    courseId,
+    title: course.title || "",
+    courseStatus: course.courseStatus || "Draft",
+    live: buildSearchEntries(course),
+    draft: draftDoc.exists
+      ? buildSearchEntries({ ...course, ...draftDoc.data().content })
+      : null,
+    indexedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// Reindex after a course write, logging failures so a search problem
+// never fails the write that already happened
+export async function refreshCourseSearchIndex(courseId) {
+  try {
+    await indexCourse(courseId);
+  } catch (error) {
+    console.error(`Error indexing course "${courseId}" for search:`, error);
+  }
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Cut a window of text around the first hit and wrap hits in <mark>
+export function highlightSnippet(text, queryTokens) {
+  const wanted = new Set(queryTokens);
+  const hits = [...text.matchAll(WORD_PATTERN)].filter((match) =>
+    wanted.has(normalizeWord(match[0]))
+  );
+
+  const firstHit = hits[0]?.index || 0;
+  let start = Math.max(
+    0,
+    Math.min(firstHit - 40, text.length - SNIPPET_LENGTH)
+  );
+  // Don't start mid-word
+  if (start > 0) {
+    const space = text.lastIndexOf(" ", start);
+    start = space === -1 ? 0 : space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  let snippet = "";
+  let position = start;
+  hits
+    .filter((match) => match.index >= start && match.index < end)
+    .forEach((match) => {
+      const hitEnd = Math.min(match.index + match[0].length, end);
+      snippet += escapeHtml(text.slice(position, match.index));
+      snippet += `<mark>${escapeHtml(text.slice(match.index, hitEnd))}</mark>`;
+      position = hitEnd;
+    });
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
+
+// Score one indexed version of a course against the query tokens.
+// Returns null when nothing matched.
+const scoreCourse = (indexed, queryTokens, phrase) => {
+  const matchedTokens = new Set();
+
+  const matches = indexed.entries
+    .map((entry) => {
+      const entryTokens = new Set(tokenize(entry.text));
+      const hits = queryTokens.filter((token) => entryTokens.has(token));
+      if (hits.length === 0) return null;
+
+      hits.forEach((token) => matchedTokens.add(token));
+      const phraseBonus =
+        queryTokens.length > 1 && entry.text.toLowerCase().includes(phrase)
+          ? 2
+          : 1;
+      return {
+        ...entry,
+        score: FIELD_WEIGHTS[entry.field] * hits.length * phraseBonus,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  if (matches.length === 0) return null;
+
+  // Courses matching every query word rank above partial matches
+  const coverage = matchedTokens.size / queryTokens.length;
+  const score =
+    matches.reduce((total, match) => total + match.score, 0) * coverage;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    matches: matches.slice(0, MATCHES_PER_COURSE).map(({ text, ...match }) => ({
+      ...match,
+      snippet: highlightSnippet(text, queryTokens),
+    })),
+  };
+};
+
+// Ranked search over indexed courses. Without includeDrafts only published
+// content of published courses is searched.
+export async function searchCourses(query, { includeDrafts, limit }) {
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return [];
+
+  const phrase = String(query).trim().toLowerCase();
+  const candidateTokens = queryTokens.slice(0, MAX_QUERY_TOKENS);
+  const indexRef = admin.firestore().collection("course_search_index");
+
+  const queries = [
+    indexRef.where("live.tokens", "array-contains-any", candidateTokens).get(),
+  ];
+  if (includeDrafts) {
+    queries.push(
+      indexRef
+        .where("draft.tokens", "array-contains-any", candidateTokens)
+        .get()
+    );
+  }
+
+  const candidates = new Map();
+  (await Promise.all(queries)).forEach((snapshot) =>
+    snapshot.forEach((doc) => candidates.set(doc.id, doc.data()))
+  );
+
+  return [...candidates.values()]
+    .filter((indexed) => includeDrafts || indexed.courseStatus === "Published")
+    .map((indexed) => {
+      const searchDraft = includeDrafts && indexed.draft;
+      const result = scoreCourse(
+        searchDraft ? indexed.draft : indexed.live,
+        queryTokens,
+        phrase
+      );
+      return (
+        result && {
+          courseId: indexed.courseId,
+          title: indexed.title,
+          courseStatus: indexed.courseStatus,
+          ...(includeDrafts && { matchedDraft: Boolean(searchDraft) }),
+          ...result,
+        }
+      );
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, limit);
+}
@@ -0,0 +1,60 @@
+// Parse CSV text into an array of objects keyed by the header row.
+// Supports quoted fields, escaped quotes ("") and CRLF line endings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  const nonEmptyRows = rows.filter((r) => r.some((value) => value.trim()));
+  if (nonEmptyRows.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmptyRows[0].map((header) => header.trim());
+
+  return nonEmptyRows.slice(1).map((values) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (values[index] || "").trim();
+    });
+    return record;
+  });
+}
+
+export default parseCsv;
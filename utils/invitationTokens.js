@@ -0,0 +1,49 @@
+import crypto from "crypto";
+
+// Invitation tokens are "<invitationId>.<version>.<expiresAtMs>.<signature>",
+// signed with INVITATION_TOKEN_SECRET. Bumping the invitation's tokenVersion
+// (on resend) invalidates older links.
+
+const getSecret = () => {
+  const secret = process.env.INVITATION_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error("INVITATION_TOKEN_SECRET is not configured");
+  }
+  return secret;
+};
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", getSecret()).update(payload).digest("base64url");
+
+export function createInvitationToken(invitationId, version, expiresAt) {
+  const payload = `${invitationId}.${version}.${expiresAt.getTime()}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { invitationId, version, expiresAt } or { error: "reason" }
+export function verifyInvitationToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 4) {
+    return { error: "Invalid invitation token" };
+  }
+
+  const [invitationId, version, expiresAtMs, signature] = parts;
+  const expected = Buffer.from(
+    sign(`${invitationId}.${version}.${expiresAtMs}`)
+  );
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { error: "Invalid invitation token" };
+  }
+
+  const expiresAt = new Date(parseInt(expiresAtMs));
+  if (expiresAt < new Date()) {
+    return { error: "Invitation has expired" };
+  }
+
+  return { invitationId, version: parseInt(version), expiresAt };
+}
@@ -0,0 +1,98 @@
+import admin from "../config/firebase.config.js";
+
+// Lock an email for LOCKOUT_MINUTES after MAX_FAILURES failed logins
+// within FAILURE_WINDOW_MINUTES
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const FAILURE_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const lockoutRef = (email) =>
+  admin
+    .firestore()
+    .collection("login_lockouts")
+    .doc(encodeURIComponent(normalizeEmail(email)));
+
+// Record a login attempt; never let an audit failure break the login itself
+export async function recordLoginAttempt({
+  email,
+  userId = null,
+  ip,
+  userAgent,
+  outcome,
+  errorCode = null,
+}) {
+  try {
+    await admin
+      .firestore()
+      .collection("login_audit")
+      .add({
+        email: normalizeEmail(email),
+        userId,
+        ip: ip || null,
+        userAgent: userAgent || null,
+        outcome,
+        errorCode,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+  } catch (error) {
+    console.error("Error recording login attempt:", error);
+  }
+}
+
+// Returns the lock expiry if the email is currently locked out, else null
+export async function getActiveLockout(email) {
+  const lockoutDoc = await lockoutRef(email).get();
+  if (!lockoutDoc.exists) return null;
+
+  const lockedUntil = lockoutDoc.data().lockedUntil?.toDate();
+  return lockedUntil && lockedUntil > new Date() ? lockedUntil : null;
+}
+
+// Count a failed attempt and lock the email once the limit is reached.
+// Returns the lock expiry when this failure triggered a lockout.
+export async function registerLoginFailure(email) {
+  const ref = lockoutRef(email);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const lockoutDoc = await transaction.get(ref);
+    const now = new Date();
+    const data = lockoutDoc.exists ? lockoutDoc.data() : {};
+
+    const windowStart = data.windowStartedAt?.toDate();
+    const windowExpired =
+      !windowStart || now - windowStart > FAILURE_WINDOW_MINUTES * 60 * 1000;
+
+    const failedCount = windowExpired ? 1 : (data.failedCount || 0) + 1;
+    const lockedUntil =
+      failedCount >= MAX_FAILURES
+        ? new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000)
+        : null;
+
+    transaction.set(ref, {
+      email: normalizeEmail(email),
+      failedCount: lockedUntil ? 0 : failedCount,
+      windowStartedAt: windowExpired
+        ? admin.firestore.Timestamp.fromDate(now)
+        : data.windowStartedAt,
+      lockedUntil: lockedUntil
+        ? admin.firestore.Timestamp.fromDate(lockedUntil)
+        : data.lockedUntil || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return lockedUntil;
+  });
+}
+
+// Remove any failure count or lock for the email
+export async function clearLockout(email) {
+  const ref = lockoutRef(email);
+  const lockoutDoc = await ref.get();
+  if (!lockoutDoc.exists) return false;
+
+  await ref.delete();
+  return true;
+}
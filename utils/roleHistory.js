@@ -0,0 +1,121 @@
+import admin from "../config/firebase.config.js";
+
+// Bookkeeping fields that change on every write and would clutter diffs
+const IGNORED_FIELDS = ["updatedAt", "updatedBy"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// List the leaf values that differ between two role states,
+// e.g. { path: "permissions.batches.edit", from: true, to: false }
+export function diffRoles(before, after, prefix = "") {
+  const changes = [];
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  keys.forEach((key) => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isPlainObject(from) || isPlainObject(to)) {
+      changes.push(
+        ...diffRoles(
+          isPlainObject(from) ? from : {},
+          isPlainObject(to) ? to : {},
+          path
+        )
+      );
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from: from ?? null, to: to ?? null });
+    }
+  });
+
+  return changes;
+}
+
+const historyRef = (roleName) =>
+  admin
+    .firestore()
+    .collection("role_history")
+    .doc(encodeURIComponent(roleName));
+
+// Store a role change as the next version under role_history/{role}/versions.
+// Returns the version number.
+export async function recordRoleChange({
+  roleName,
+  action,
+  before,
+  after,
+  changedBy,
+  ...details
+}) {
+  const ref = historyRef(roleName);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const historyDoc = await transaction.get(ref);
+    const version =
+      (historyDoc.exists ? historyDoc.data().latestVersion : 0) + 1;
+
+    transaction.set(ref, { roleName, latestVersion: version });
+    transaction.set(ref.collection("versions").doc(String(version)), {
+      roleName,
+      version,
+      action,
+      before: before || null,
+      after: after || null,
+      diff: diffRoles(before, after),
+      changedBy: changedBy || "unknown",
+      changedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...details,
+    });
+
+    return version;
+  });
+}
+
+// Record several changes, logging failures so a history problem never
+// fails the role write that already happened
+export async function recordRoleChanges(changes) {
+  const versions = {};
+
+  for (const change of changes) {
+    try {
+      versions[change.roleName] = await recordRoleChange(change);
+    } catch (error) {
+      console.error(
+        `Error recording history for role "${change.roleName}":`,
+        error
+      );
+    }
+  }
+
+  return versions;
+}
+
+// Versions of a role, newest first
+export async function getRoleHistory(roleName, limit) {
+  const snapshot = await historyRef(roleName)
+    .collection("versions")
+    .orderBy("version", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map((doc) => ({
+    ...doc.data(),
+    changedAt: doc.data().changedAt?.toDate() || null,
+  }));
+}
+
+export async function getRoleVersion(roleName, version) {
+  const versionDoc = await historyRef(roleName)
+    .collection("versions")
+    .doc(String(version))
+    .get();
+
+  return versionDoc.exists ? versionDoc.data() : null;
+}
@@ -0,0 +1,65 @@
+// Roles in role_permissions/roles can name a `parent` role whose permissions
+// they inherit. A role's own permission values override inherited ones.
+
+// Walk up from parentName; returns the looping chain if roleName shows up
+// again, otherwise null
+export function findInheritanceCycle(roles, roleName, parentName) {
+  const chain = [roleName];
+  let current = parentName;
+
+  while (current) {
+    chain.push(current);
+    if (current === roleName || chain.indexOf(current) !== chain.length - 1) {
+      return chain;
+    }
+    current = roles[current]?.parent;
+  }
+
+  return null;
+}
+
+// Merge a role's permissions with those of its ancestors.
+// Inactive or missing ancestors contribute nothing.
+export function resolveEffectivePermissions(roles, roleName) {
+  const chain = [];
+  let current = roleName;
+
+  // Collect the chain from the role up to the root, stopping on a loop
+  while (current && roles[current] && !chain.includes(current)) {
+    chain.push(current);
+    current = roles[current].parent;
+  }
+
+  const permissions = {};
+
+  // Apply the root first so each descendant overrides its ancestors
+  [...chain].reverse().forEach((name, index, ordered) => {
+    const role = roles[name];
+    const isSelf = index === ordered.length - 1;
+    if (!isSelf && role.active === false) return;
+
+    Object.entries(role.permissions || {}).forEach(([resource, actions]) => {
+      permissions[resource] = {
+        ...(permissions[resource] || {}),
+        ...actions,
+      };
+    });
+  });
+
+  return { permissions, inheritsFrom: chain.slice(1) };
+}
+
+// Resources whose permissions let a user take over other accounts
+const PRIVILEGED_RESOURCES = ["users", "roles", "apiKeys"];
+
+// Admin, roles with access to every batch and roles that can manage users,
+// roles or API keys
+export function isPrivilegedRole(roles, roleName) {
+  if (roleName === "Admin" || roles[roleName]?.globalAccess === true) {
+    return true;
+  }
+  const { permissions } = resolveEffectivePermissions(roles, roleName);
+  return PRIVILEGED_RESOURCES.some((resource) =>
+    Object.values(permissions[resource] || {}).some(Boolean)
+  );
+}
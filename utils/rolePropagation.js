@@ -0,0 +1,225 @@
+import admin from "../config/firebase.config.js";
+
+// Users are processed in chunks so the job record can show progress
+const CHUNK_SIZE = 100;
+
+// How long one call works on a job. Requests stay well inside serverless
+// time limits; unfinished jobs are picked up again by runRolePropagation.
+const TIME_BUDGET_MS = 8 * 1000;
+
+// Only one runner works on a job at a time
+const LEASE_MS = TIME_BUDGET_MS + 30 * 1000;
+
+const jobsRef = () => admin.firestore().collection("role_propagation_jobs");
+const aliasRef = (roleName) =>
+  admin.firestore().collection("role_aliases").doc(roleName);
+
+// Users whose user_manage profile holds the role
+export async function getRoleHolderIds(roleName, limit) {
+  let query = admin
+    .firestore()
+    .collection("user_manage")
+    .where("role", "==", roleName);
+  if (limit) query = query.limit(limit);
+
+  const snapshot = await query.get();
+  return snapshot.docs.map((doc) => doc.id);
+}
+
+// role_aliases/{oldName} points a renamed role at its new name until every
+// holder has been moved. Follows chained renames; returns null if the role
+// was never renamed.
+export async function getRenamedRole(roleName) {
+  let current = roleName;
+  const seen = new Set([roleName]);
+
+  for (let hops = 0; hops < 5; hops++) {
+    const aliasDoc = await aliasRef(current).get();
+    if (!aliasDoc.exists) break;
+    current = aliasDoc.data().role;
+    if (seen.has(current)) break;
+    seen.add(current);
+  }
+
+  return current === roleName ? null : current;
+}
+
+// Keep any other custom claims the user has
+async function updateRoleClaim(userId, roleName) {
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    await admin.auth().setCustomUserClaims(userId, {
+      ...(userRecord.customClaims || {}),
+      role: roleName,
+    });
+    return true;
+  } catch (error) {
+    // Anonymized users no longer have an Auth account
+    if (error.code === "auth/user-not-found") return false;
+    throw error;
+  }
+}
+
+const toJobResponse = (id, data) => {
+  const { leaseUntil, ...job } = data;
+  return {
+    jobId: id,
+    ...job,
+    startedAt: job.startedAt?.toDate?.() || null,
+    completedAt: job.completedAt?.toDate?.() || null,
+  };
+};
+
+// Take the job's lease. Returns the job data, or null when the job is
+// finished or another runner holds the lease.
+const claimJob = (jobRef) =>
+  admin.firestore().runTransaction(async (t) => {
+    const jobDoc = await t.get(jobRef);
+    const job = jobDoc.data();
+    if (
+      job.status !== "running" ||
+      (job.leaseUntil && job.leaseUntil.toMillis() > Date.now())
+    ) {
+      return null;
+    }
+    t.update(jobRef, {
+      leaseUntil: admin.firestore.Timestamp.fromMillis(Date.now() + LEASE_MS),
+    });
+    return job;
+  });
+
+// Work on a propagation job for up to the time budget. Holders are read
+// from user_manage on every pass, so a job can be resumed at any point.
+// Returns { job, ran } where ran is false when there was nothing to do or
+// another runner holds the job, or null if the job doesn't exist.
+async function runJob(jobId) {
+  const jobRef = jobsRef().doc(jobId);
+  const jobDoc = await jobRef.get();
+  if (!jobDoc.exists) return null;
+
+  const job = await claimJob(jobRef);
+  if (!job) return { job: toJobResponse(jobDoc.id, jobDoc.data()), ran: false };
+
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const report = {
+    processed: job.processed || 0,
+    updated: job.updated || 0,
+    claimsUpdated: job.claimsUpdated || 0,
+    failed: job.failed || [],
+  };
+  // Users that failed aren't retried within the job, see POST /reassign
+  const failedIds = new Set(report.failed.map(({ userId }) => userId));
+  let done = false;
+
+  while (Date.now() < deadline) {
+    const chunk = (
+      await getRoleHolderIds(job.fromRole, CHUNK_SIZE + failedIds.size)
+    )
+      .filter((userId) => !failedIds.has(userId))
+      .slice(0, CHUNK_SIZE);
+
+    if (chunk.length === 0) {
+      done = true;
+      break;
+    }
+
+    const batch = admin.firestore().batch();
+    const results = await Promise.allSettled(
+      chunk.map((userId) => updateRoleClaim(userId, job.toRole))
+    );
+
+    results.forEach((result, index) => {
+      const userId = chunk[index];
+
+      if (result.status === "rejected") {
+        report.failed.push({ userId, error: result.reason.message });
+        failedIds.add(userId);
+        return;
+      }
+
+      if (result.value) report.claimsUpdated++;
+
+      batch.update(admin.firestore().collection("user_manage").doc(userId), {
+        role: job.toRole,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      report.updated++;
+    });
+
+    await batch.commit();
+    report.processed += chunk.length;
+
+    await jobRef.update({ ...report });
+  }
+
+  const updates = { ...report, leaseUntil: null };
+  if (done) {
+    updates.status =
+      report.failed.length > 0 ? "completed_with_errors" : "completed";
+    updates.completedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    // Everyone moved, so the old name no longer needs to resolve
+    if (job.reason === "rename" && report.failed.length === 0) {
+      await aliasRef(job.fromRole).delete();
+    }
+  }
+  await jobRef.update(updates);
+
+  return { job: toJobResponse(jobId, { ...job, ...updates }), ran: true };
+}
+
+// The job as stored after one run, or null if it doesn't exist
+export async function runRolePropagation(jobId) {
+  const result = await runJob(jobId);
+  return result && result.job;
+}
+
+// Start moving every holder of fromRole to toRole, or resume the job that
+// is already doing so. Works on it for one time budget; the returned job's
+// status is "running" if holders remain (see runRolePropagation).
+export async function propagateRoleChange({
+  fromRole,
+  toRole,
+  reason,
+  startedBy,
+}) {
+  const running = await jobsRef()
+    .where("fromRole", "==", fromRole)
+    .where("status", "==", "running")
+    .get();
+
+  const existing = running.docs.find((doc) => doc.data().toRole === toRole);
+  if (existing) return runRolePropagation(existing.id);
+
+  const jobRef = jobsRef().doc();
+  await jobRef.set({
+    fromRole,
+    toRole,
+    reason,
+    total: (await getRoleHolderIds(fromRole)).length,
+    processed: 0,
+    updated: 0,
+    claimsUpdated: 0,
+    failed: [],
+    status: "running",
+    leaseUntil: null,
+    startedBy,
+    startedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return runRolePropagation(jobRef.id);
+}
+
+// Keep working on a job after the response was sent. Long-running servers
+// finish it here; on serverless hosts the process may be frozen, so clients
+// resume it with POST /api/roles/jobs/:jobId/run.
+export function continueRolePropagation(jobId) {
+  (async () => {
+    let result;
+    do {
+      result = await runJob(jobId);
+    } while (result?.ran && result.job.status === "running");
+  })().catch((error) =>
+    console.error(`Error continuing role propagation job ${jobId}:`, error)
+  );
+}
@@ -0,0 +1,167 @@
+import admin from "../config/firebase.config.js";
+
+// A session is one sign-in: a password login, an SSO login or the fresh
+// login after a password change. Firebase keeps the token's auth_time
+// across refreshes, so sessions/{uid}_{auth_time} identifies it from any
+// ID token the session produces.
+export const getSessionId = (userId, authTime) => `${userId}_${authTime}`;
+
+// Rough "Browser on OS" label from a user agent string
+export function describeDevice(userAgent = "") {
+  const browser =
+    [
+      ["Edge", /Edg\//],
+      ["Opera", /OPR\//],
+      ["Chrome", /Chrome\//],
+      ["Firefox", /Firefox\//],
+      ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown browser";
+
+  const os =
+    [
+      ["Android", /Android/],
+      ["iOS", /iPhone|iPad/],
+      ["Windows", /Windows/],
+      ["macOS", /Mac OS X/],
+      ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown OS";
+
+  return `${browser} on ${os}`;
+}
+
+// Create or update the session for a freshly issued ID token.
+// Returns { sessionId, revoked }.
+export async function trackSession(idToken, { ip, userAgent, event }) {
+  const { uid, auth_time: authTime } = await admin
+    .auth()
+    .verifyIdToken(idToken);
+
+  const sessionId = getSessionId(uid, authTime);
+  const sessionRef = admin.firestore().collection("sessions").doc(sessionId);
+  const sessionDoc = await sessionRef.get();
+
+  if (sessionDoc.exists && sessionDoc.data().revoked) {
+    return { sessionId, revoked: true };
+  }
+
+  const activity = {
+    ip: ip || null,
+    userAgent: userAgent || null,
+    device: describeDevice(userAgent),
+    lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+    ...(event === "refresh" && {
+      lastRefreshAt: admin.firestore.FieldValue.serverTimestamp(),
+    }),
+  };
+
+  if (sessionDoc.exists) {
+    await sessionRef.update(activity);
+  } else {
+    await sessionRef.set({
+      userId: uid,
+      authTime,
+      revoked: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...activity,
+    });
+  }
+
+  return { sessionId, revoked: false };
+}
+
+// trackSession for routes that have already issued tokens. A tracking
+// failure is logged instead of failing the sign-in; authenticateUser still
+// enforces revocation on every request.
+export async function trackIssuedSession(idToken, details) {
+  try {
+    return await trackSession(idToken, details);
+  } catch (error) {
+    console.error(`Error tracking ${details.event} session:`, error);
+    return { sessionId: null, revoked: false };
+  }
+}
+
+export async function isSessionRevoked(userId, authTime) {
+  const sessionDoc = await admin
+    .firestore()
+    .collection("sessions")
+    .doc(getSessionId(userId, authTime))
+    .get();
+
+  return sessionDoc.exists && sessionDoc.data().revoked === true;
+}
+
+// Sessions that can still be used: not revoked and started after the
+// user's last revokeRefreshTokens
+export async function listActiveSessions(userId) {
+  const [snapshot, userRecord] = await Promise.all([
+    admin
+      .firestore()
+      .collection("sessions")
+      .where("userId", "==", userId)
+      .get(),
+    admin.auth().getUser(userId),
+  ]);
+
+  const validAfter = userRecord.tokensValidAfterTime
+    ? new Date(userRecord.tokensValidAfterTime).getTime() / 1000
+    : 0;
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((session) => !session.revoked && session.authTime >= validAfter)
+    .map((session) => ({
+      id: session.id,
+      device: session.device,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt?.toDate() || null,
+      lastSeenAt: session.lastSeenAt?.toDate() || null,
+    }))
+    .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+}
+
+// Returns false when the session doesn't belong to the user
+export async function revokeSession(userId, sessionId, revokedBy) {
+  const sessionRef = admin.firestore().collection("sessions").doc(sessionId);
+  const sessionDoc = await sessionRef.get();
+
+  if (!sessionDoc.exists || sessionDoc.data().userId !== userId) {
+    return false;
+  }
+
+  await sessionRef.update({
+    revoked: true,
+    revokedBy,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return true;
+}
+
+// Revoke every session of the user, optionally keeping one (the caller's).
+// Returns the number of sessions revoked.
+export async function revokeAllSessions(userId, revokedBy, keepSessionId) {
+  const snapshot = await admin
+    .firestore()
+    .collection("sessions")
+    .where("userId", "==", userId)
+    .where("revoked", "==", false)
+    .get();
+
+  const docs = snapshot.docs.filter((doc) => doc.id !== keepSessionId);
+
+  // Firestore batches are capped at 500 writes
+  for (let i = 0; i < docs.length; i += 450) {
+    const batch = admin.firestore().batch();
+    docs.slice(i, i + 450).forEach((doc) =>
+      batch.update(doc.ref, {
+        revoked: true,
+        revokedBy,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+    );
+    await batch.commit();
+  }
+
+  return docs.length;
+}
@@ -0,0 +1,132 @@
+import admin from "../config/firebase.config.js";
+
+// Find the batches document holding a batch field (e.g. "B-FD-0104-3006-A").
+// Batch ids don't contain their document id, so this queries the field's
+// suffix, which Firestore indexes like any other field.
+export async function findBatchById(batchId) {
+  if (typeof batchId !== "string" || !batchId) return null;
+
+  const snapshot = await admin
+    .firestore()
+    .collection("batches")
+    .where(new admin.firestore.FieldPath(batchId, "suffix"), ">", "")
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+
+  const doc = snapshot.docs[0];
+  const batchData = doc.data();
+  return {
+    documentId: doc.id,
+    batchId,
+    courseId: batchData.courseId,
+    courseName: batchData.courseName,
+    ...batchData[batchId],
+  };
+}
+
+// Look up several batches at once. Returns a Map of batchId -> batch, or
+// null for batches that don't exist.
+export async function findBatchesByIds(batchIds) {
+  const unique = [...new Set(batchIds)];
+  const found = await Promise.all(unique.map(findBatchById));
+  return new Map(unique.map((batchId, index) => [batchId, found[index]]));
+}
+
+// Add a user to trainees/{batchId} and record the course on their profile
+export async function enrollUserInBatch({ userId, name, email, batch }) {
+  const traineesRef = admin
+    .firestore()
+    .collection("trainees")
+    .doc(batch.batchId);
+  const traineesDoc = await traineesRef.get();
+
+  const traineeEntry = {
+    userId,
+    name,
+    email,
+    enrolledAt: new Date(),
+    courseId: batch.courseId,
+    batchId: batch.batchId,
+  };
+
+  if (!traineesDoc.exists) {
+    await traineesRef.set({
+      trainees: [traineeEntry],
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } else {
+    const trainees = traineesDoc.data().trainees || [];
+    if (trainees.some((trainee) => trainee.userId === userId)) {
+      return;
+    }
+
+    await traineesRef.update({
+      trainees: admin.firestore.FieldValue.arrayUnion(traineeEntry),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  // Store the course with default values for attendance, progress, etc.
+  const courseDoc = await admin
+    .firestore()
+    .collection("courses")
+    .doc(batch.courseId)
+    .get();
+  const courseData = courseDoc.exists ? courseDoc.data() : {};
+
+  await admin
+    .firestore()
+    .collection("user_manage")
+    .doc(userId)
+    .update({
+      [`courses.${batch.courseId}`]: {
+        name: courseData.title || batch.courseName || "Unnamed Course",
+        enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+        batchId: batch.batchId,
+        attendanceRate: 0,
+        progress: 0,
+        averageScore: 0,
+        lastAccessed: admin.firestore.FieldValue.serverTimestamp(),
+        status: "ongoing",
+        instructor: courseData.instructor || "",
+        duration: courseData.duration || "",
+      },
+      enrolledCourseIds: admin.firestore.FieldValue.arrayUnion(batch.courseId),
+    });
+}
+
+// Flag or unflag a user's entries in every trainees/{batchId} roster
+export async function setTraineeArchived(userId, archived) {
+  const snapshot = await admin.firestore().collection("trainees").get();
+  const batch = admin.firestore().batch();
+  let updatedCount = 0;
+
+  snapshot.forEach((doc) => {
+    const trainees = doc.data().trainees || [];
+    if (!trainees.some((trainee) => trainee.userId === userId)) {
+      return;
+    }
+
+    const updatedTrainees = trainees.map((trainee) => {
+      if (trainee.userId !== userId) return trainee;
+      if (archived) return { ...trainee, archived: true };
+
+      const restoredTrainee = { ...trainee };
+      delete restoredTrainee.archived;
+      return restoredTrainee;
+    });
+
+    batch.update(doc.ref, {
+      trainees: updatedTrainees,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    updatedCount++;
+  });
+
+  if (updatedCount > 0) {
+    await batch.commit();
+  }
+
+  return updatedCount;
+}
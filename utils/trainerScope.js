@@ -0,0 +1,156 @@
+import admin from "../config/firebase.config.js";
+import { findBatchById } from "./trainees.js";
+
+// trainer_assignments/{uid} holds the batches and courses a trainer manages.
+// A course assignment covers every batch of that course.
+export async function getTrainerAssignments(userId) {
+  const assignmentDoc = await admin
+    .firestore()
+    .collection("trainer_assignments")
+    .doc(userId)
+    .get();
+
+  const data = assignmentDoc.exists ? assignmentDoc.data() : {};
+  return {
+    batchIds: data.batchIds || [],
+    courseIds: data.courseIds || [],
+  };
+}
+
+export const isAssignedTo = (assignments, { batchId, courseId }) =>
+  Boolean(
+    (batchId && assignments.batchIds.includes(batchId)) ||
+      (courseId && assignments.courseIds.includes(courseId))
+  );
+
+// Whether the user is an active trainee in the batch's roster
+export async function isEnrolledInBatch(userId, batchId) {
+  if (!batchId) return false;
+
+  const traineesDoc = await admin
+    .firestore()
+    .collection("trainees")
+    .doc(batchId)
+    .get();
+
+  return (
+    traineesDoc.exists &&
+    (traineesDoc.data().trainees || []).some(
+      (trainee) => trainee.userId === userId && !trainee.archived
+    )
+  );
+}
+
+// Batches the user is an active trainee in. Candidates come from the
+// courses on their profile and are confirmed against each roster.
+export async function getEnrolledBatchIds(userId) {
+  const userDoc = await admin
+    .firestore()
+    .collection("user_manage")
+    .doc(userId)
+    .get();
+
+  const courses = userDoc.exists ? userDoc.data().courses || {} : {};
+  const candidates = [
+    ...new Set(
+      Object.values(courses)
+        .map((course) => course?.batchId)
+        .filter((batchId) => typeof batchId === "string" && batchId)
+    ),
+  ];
+  if (candidates.length === 0) return [];
+
+  const rosterDocs = await admin
+    .firestore()
+    .getAll(
+      ...candidates.map((batchId) =>
+        admin.firestore().collection("trainees").doc(batchId)
+      )
+    );
+
+  return candidates.filter((batchId, index) => {
+    const rosterDoc = rosterDocs[index];
+    const trainees = rosterDoc.exists ? rosterDoc.data().trainees || [] : [];
+    return trainees.some(
+      (trainee) => trainee.userId === userId && !trainee.archived
+    );
+  });
+}
+
+// Target resolvers for requireBatchAccess. Each returns { batchId, courseId }
+// or null when the resource doesn't exist (the route then answers 404).
+
+// The course always comes from the batch itself so a trainer can't pair
+// their own course with someone else's batch
+export const batchFromValue = async (batchId) => {
+  if (!batchId) return null;
+  const batch = await findBatchById(batchId);
+  return { batchId, courseId: batch?.courseId || null };
+};
+
+export const batchFromParam =
+  (param = "batchId") =>
+  (req) =>
+    batchFromValue(req.params[param]);
+
+export const batchFromBody = (req) => batchFromValue(req.body.batchId);
+
+// New batches are checked against the course they're created for
+export const courseFromBatchBody = (req) => ({
+  batchId: null,
+  courseId: req.body.batchData?.courseId || null,
+});
+
+// batches/{documentId} with the batch field identified by its suffix
+export const batchFromDocumentSuffix = async (req) => {
+  const { documentId, suffix } = req.params;
+  const batchDoc = await admin
+    .firestore()
+    .collection("batches")
+    .doc(documentId)
+    .get();
+
+  if (!batchDoc.exists) return null;
+
+  const batchData = batchDoc.data();
+  const batchId = Object.keys(batchData).find(
+    (key) =>
+      key.includes("-") &&
+      batchData[key] &&
+      typeof batchData[key] === "object" &&
+      batchData[key].suffix === suffix
+  );
+
+  return { batchId: batchId || null, courseId: batchData.courseId || null };
+};
+
+export const batchFromAttendanceRecord = async (req) => {
+  const recordDoc = await admin
+    .firestore()
+    .collection("attendance")
+    .doc(req.params.recordId)
+    .get();
+
+  if (!recordDoc.exists) return null;
+
+  const { batchId, courseId } = recordDoc.data();
+  return { batchId: batchId || null, courseId: courseId || null };
+};
+
+export const batchFromAssignment = async (req) => {
+  const { documentId, assignmentName } = req.params;
+  const assignmentDoc = await admin
+    .firestore()
+    .collection("assignments")
+    .doc(documentId)
+    .get();
+
+  if (!assignmentDoc.exists) return null;
+
+  const documentData = assignmentDoc.data();
+  const assignment = documentData[assignmentName] || {};
+  return {
+    batchId: assignment.batchId || documentData.batchId || null,
+    courseId: assignment.courseId || null,
+  };
+};
@@ -0,0 +1,176 @@
+import admin from "../config/firebase.config.js";
+
+// Firestore batches are capped at 500 writes
+const BATCH_LIMIT = 450;
+
+async function commitUpdates(updates) {
+  for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
+    const batch = admin.firestore().batch();
+    updates
+      .slice(i, i + BATCH_LIMIT)
+      .forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+}
+
+// Get the trainees/{batchId} documents that list this user
+export async function getUserBatchIds(userId) {
+  const snapshot = await admin.firestore().collection("trainees").get();
+
+  return snapshot.docs
+    .filter((doc) =>
+      (doc.data().trainees || []).some((trainee) => trainee.userId === userId)
+    )
+    .map((doc) => doc.id);
+}
+
+// Get attendance records for the given batches, 30 batch IDs per query
+export async function getAttendanceForBatches(batchIds) {
+  const docs = [];
+
+  for (let i = 0; i < batchIds.length; i += 30) {
+    const snapshot = await admin
+      .firestore()
+      .collection("attendance")
+      .where("batchId", "in", batchIds.slice(i, i + 30))
+      .get();
+    docs.push(...snapshot.docs);
+  }
+
+  return docs;
+}
+
+// Rewrite a user's name and/or email everywhere it has been copied:
+// trainees rosters, enrollments, payment orders, assignment submissions,
+// attendance records and course testimonials.
+export async function propagateUserIdentity(userId, { name, email }) {
+  const updates = [];
+  const counts = {
+    trainees: 0,
+    enrollments: 0,
+    paymentOrders: 0,
+    assignments: 0,
+    attendance: 0,
+    testimonials: 0,
+  };
+
+  const withIdentity = (entry, nameKey, emailKey) => ({
+    ...entry,
+    ...(name !== undefined && nameKey && { [nameKey]: name }),
+    ...(email !== undefined && emailKey && { [emailKey]: email }),
+  });
+
+  // Trainees rosters
+  const traineesSnapshot = await admin.firestore().collection("trainees").get();
+  const batchIds = [];
+  traineesSnapshot.forEach((doc) => {
+    const trainees = doc.data().trainees || [];
+    if (!trainees.some((trainee) => trainee.userId === userId)) return;
+
+    batchIds.push(doc.id);
+    updates.push({
+      ref: doc.ref,
+      data: {
+        trainees: trainees.map((trainee) =>
+          trainee.userId === userId
+            ? withIdentity(trainee, "name", "email")
+            : trainee
+        ),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    });
+    counts.trainees++;
+  });
+
+  // Enrollments and payment orders
+  for (const [collection, countKey] of [
+    ["enrollments", "enrollments"],
+    ["payment_orders", "paymentOrders"],
+  ]) {
+    const snapshot = await admin
+      .firestore()
+      .collection(collection)
+      .where("userId", "==", userId)
+      .get();
+
+    snapshot.forEach((doc) => {
+      updates.push({
+        ref: doc.ref,
+        data: withIdentity({}, "userName", "userEmail"),
+      });
+      counts[countKey]++;
+    });
+  }
+
+  // Assignment submissions
+  const assignmentsSnapshot = await admin
+    .firestore()
+    .collection("assignments")
+    .get();
+  assignmentsSnapshot.forEach((doc) => {
+    const documentData = doc.data();
+    const data = {};
+
+    Object.keys(documentData)
+      .filter(
+        (key) => key !== "createdAt" && key !== "updatedAt" && key !== "batchId"
+      )
+      .forEach((field) => {
+        const submissions = documentData[field]?.submissions || [];
+        if (!submissions.some((sub) => sub.traineeId === userId)) return;
+
+        data[`${field}.submissions`] = submissions.map((sub) =>
+          sub.traineeId === userId ? withIdentity(sub, "name", "email") : sub
+        );
+        counts.assignments++;
+      });
+
+    if (Object.keys(data).length > 0) {
+      updates.push({ ref: doc.ref, data });
+    }
+  });
+
+  // Attendance records (only names are stored there)
+  if (name !== undefined) {
+    const attendanceDocs = await getAttendanceForBatches(batchIds);
+    attendanceDocs.forEach((doc) => {
+      const studentDetails = doc.data().studentDetails || [];
+      if (!studentDetails.some((student) => student.studentId === userId)) {
+        return;
+      }
+
+      updates.push({
+        ref: doc.ref,
+        data: {
+          studentDetails: studentDetails.map((student) =>
+            student.studentId === userId
+              ? withIdentity(student, "name", null)
+              : student
+          ),
+        },
+      });
+      counts.attendance++;
+    });
+  }
+
+  // Course testimonials
+  const coursesSnapshot = await admin.firestore().collection("courses").get();
+  coursesSnapshot.forEach((doc) => {
+    const testimonials = doc.data().testimonials || [];
+    if (!testimonials.some((t) => t.userId === userId)) return;
+
+    updates.push({
+      ref: doc.ref,
+      data: {
+        testimonials: testimonials.map((t) =>
+          t.userId === userId ? withIdentity(t, "name", "email") : t
+        ),
+      },
+    });
+    counts.testimonials++;
+  });
+
+  await commitUpdates(updates);
+
+  return counts;
+}
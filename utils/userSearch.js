@@ -0,0 +1,26 @@
+// Longest prefix stored per field; longer search terms are cut to this
+const MAX_PREFIX_LENGTH = 50;
+
+// Lowercase a search term and cut it to the longest stored prefix
+export const normalizeSearchTerm = (term) =>
+  String(term).trim().toLowerCase().slice(0, MAX_PREFIX_LENGTH);
+
+// Every lowercased prefix of a user's full name and email. Stored on
+// user_manage docs as searchKeys so GET /users can search case-insensitively
+// with a single array-contains query that also supports count().
+export function buildSearchKeys({ fullName, email }) {
+  const keys = new Set();
+  [fullName, email].forEach((value) => {
+    const normalized = normalizeSearchTerm(value ?? "");
+    for (let i = 1; i <= normalized.length; i++) {
+      keys.add(normalized.slice(0, i));
+    }
+  });
+  return [...keys];
+}
+
+// Same match as the searchKeys query, for users already loaded in memory
+export const matchesSearch = (user, term) =>
+  [user.fullName, user.email].some((value) =>
+    normalizeSearchTerm(value ?? "").startsWith(term)
+  );